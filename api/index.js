@@ -1,573 +1,15 @@
 /**
  * Vercel Serverless Function for Bulgarian Subtitles Stremio Addon
- * Supports multiple providers: Subsunacs, Yavka, SubsSab
+ * Supports multiple providers, see lib/providers/
  */
 
-const express = require('express');
-const { addonBuilder, getRouter } = require('stremio-addon-sdk');
-const https = require('https');
-const http = require('http');
-const AdmZip = require('adm-zip');
-const iconv = require('iconv-lite');
 const path = require('path');
 
 // Import lib modules using path.join for Vercel compatibility
-const { getIMDBInfo } = require(path.join(__dirname, '..', 'lib', 'imdb'));
-const { searchAllProviders, getProvider } = require(path.join(__dirname, '..', 'lib', 'providers'));
-const { parseStremioId } = require(path.join(__dirname, '..', 'lib', 'utils'));
-const { getBaseUrl } = require(path.join(__dirname, '..', 'lib', 'base-url'));
+const { createAddon } = require(path.join(__dirname, '..', 'lib', 'addon'));
 
-// Create Express app
-const app = express();
-
-// Trust proxy for proper IP detection
-app.set('trust proxy', 1);
-
-// CORS middleware for Stremio
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  next();
-});
-
-// Define addon manifest
-const manifest = {
-  id: 'org.stremio.subsunacs',
-  version: '2.0.0',
-  name: 'Bulgarian Subtitles',
-  description: 'Bulgarian subtitles from multiple providers (Subsunacs, Yavka, SubsSab)',
-  logo: 'https://flagcdn.com/w320/bg.png',
-  background: 'https://flagcdn.com/w1280/bg.png',
-  resources: [
-    { name: 'subtitles', types: ['movie', 'series'], idPrefixes: ['tt'] }
-  ],
-  types: ['movie', 'series'],
-  idPrefixes: ['tt'],
-  catalogs: [],
-  behaviorHints: {
-    configurable: false,
-    configurationRequired: false
-  }
-};
-
-// Create addon builder
-const builder = new addonBuilder(manifest);
-
-// Store base URL for subtitle handler (set per-request)
-let currentBaseUrl = '';
-
-// Define subtitle handler
-builder.defineSubtitlesHandler(async (args) => {
-  console.log(`[Addon] Subtitle request for: ${args.type} - ${args.id}`);
-
-  try {
-    const parsed = parseStremioId(args.id);
-    console.log(`[Addon] Parsed ID:`, parsed);
-
-    let imdbInfo;
-    try {
-      imdbInfo = await getIMDBInfo(parsed.imdbId, parsed.type);
-      console.log(`[Addon] IMDB Info:`, imdbInfo);
-    } catch (error) {
-      console.error(`[Addon] Failed to get IMDB info:`, error.message);
-      return { subtitles: [] };
-    }
-
-    // Search all providers in parallel
-    let searchResults;
-    if (parsed.type === 'movie') {
-      searchResults = await searchAllProviders(
-        imdbInfo.title,
-        imdbInfo.year,
-        null,
-        null,
-        parsed.imdbId
-      );
-    } else {
-      searchResults = await searchAllProviders(
-        imdbInfo.title,
-        imdbInfo.year,
-        parsed.season,
-        parsed.episode,
-        parsed.imdbId
-      );
-    }
-
-    if (searchResults.length === 0) {
-      console.log(`[Addon] No subtitles found`);
-      return { subtitles: [] };
-    }
-
-    const subtitles = searchResults.map((result, index) => {
-      const id = `${result.provider}-${result.id}-${index}`;
-      // New URL pattern includes provider
-      const url = `${currentBaseUrl}/subtitle/${result.provider}/${result.id}.srt`;
-
-      // Build subtitle label with provider prefix
-      let subtitleLabel = `[${result.providerName}] ${result.title}`;
-      if (result.fps) {
-        subtitleLabel += ` [${result.fps}fps]`;
-      }
-      if (result.uploader) {
-        subtitleLabel += ` - ${result.uploader}`;
-      }
-
-      return {
-        id: id,
-        url: url,
-        lang: 'bul',
-        title: subtitleLabel
-      };
-    });
-
-    console.log(`[Addon] Returning ${subtitles.length} subtitle(s) from all providers`);
-    return { subtitles };
-
-  } catch (error) {
-    console.error(`[Addon] Error in subtitle handler:`, error);
-    return { subtitles: [] };
-  }
-});
-
-// Get the addon interface and router
-const addonInterface = builder.getInterface();
-const addonRouter = getRouter(addonInterface);
-
-// Middleware to set base URL before addon routes
-app.use((req, res, next) => {
-  currentBaseUrl = getBaseUrl(req);
-  next();
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    version: manifest.version,
-    providers: ['subsunacs', 'subsab']
-  });
-});
-
-// Helper function to decode Bulgarian text (typically Windows-1251 encoded)
-function decodeBulgarian(buffer) {
-  // Try to detect if it's already valid UTF-8
-  const utf8Text = buffer.toString('utf8');
-
-  // Check for common UTF-8 BOM or valid Bulgarian UTF-8 characters
-  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
-    return utf8Text; // Has UTF-8 BOM
-  }
-
-  // Check if the text has valid Bulgarian Cyrillic UTF-8 sequences (U+0400-U+04FF range)
-  // Bulgarian letters in UTF-8 are 2-byte sequences: 0xD0/0xD1 followed by 0x80-0xBF
-  const hasBulgarianUtf8 = /[\u0400-\u04FF]/.test(utf8Text);
-  if (hasBulgarianUtf8 && !/\uFFFD/.test(utf8Text)) {
-    return utf8Text; // Valid UTF-8 with Cyrillic
-  }
-
-  // Otherwise, decode as Windows-1251 (common Bulgarian encoding)
-  try {
-    return iconv.decode(buffer, 'win1251');
-  } catch (e) {
-    // Fallback to UTF-8
-    return utf8Text;
-  }
-}
-
-function formatSrtTime(totalSeconds) {
-  const totalMs = Math.max(0, Math.round(totalSeconds * 1000));
-  const ms = totalMs % 1000;
-  const totalSecondsInt = Math.floor(totalMs / 1000);
-  const seconds = totalSecondsInt % 60;
-  const totalMinutes = Math.floor(totalSecondsInt / 60);
-  const minutes = totalMinutes % 60;
-  const hours = Math.floor(totalMinutes / 60);
-
-  const pad2 = (value) => String(value).padStart(2, '0');
-  const pad3 = (value) => String(value).padStart(3, '0');
-
-  return `${pad2(hours)}:${pad2(minutes)}:${pad2(seconds)},${pad3(ms)}`;
-}
-
-function convertMicroDvdToSrt(text) {
-  const lines = text.split(/\r?\n/);
-  let fps = null;
-  const entries = [];
-
-  for (const line of lines) {
-    const match = line.match(/^\{(\d+)\}\{(\d+)\}(.*)$/);
-    if (!match) {
-      continue;
-    }
-
-    const start = parseInt(match[1], 10);
-    const end = parseInt(match[2], 10);
-    const rawText = match[3] || '';
-    const trimmed = rawText.trim();
-
-    if (start === end && /^\d+(?:[.,]\d+)?$/.test(trimmed)) {
-      const parsedFps = parseFloat(trimmed.replace(',', '.'));
-      if (!Number.isNaN(parsedFps) && parsedFps > 0) {
-        fps = parsedFps;
-        continue;
-      }
-    }
-
-    const cleaned = rawText
-      .replace(/\{[^}]*\}/g, '')
-      .replace(/\|/g, '\n')
-      .trim();
-
-    if (!cleaned) {
-      continue;
-    }
-
-    entries.push({ start, end, text: cleaned });
-  }
-
-  if (entries.length === 0) {
-    return null;
-  }
-
-  const safeFps = fps && fps > 0 ? fps : 25;
-  let index = 1;
-
-  const output = entries.map((entry) => {
-    const startTime = formatSrtTime(entry.start / safeFps);
-    const endTime = formatSrtTime(entry.end / safeFps);
-    return `${index++}\n${startTime} --> ${endTime}\n${entry.text}\n`;
-  });
-
-  return `${output.join('\n').trim()}\n`;
-}
-
-// Helper function to extract and process subtitle from buffer
-function processSubtitleBuffer(buffer, res, subtitleId) {
-  // Check for ZIP magic bytes (PK)
-  const isZip = buffer.length > 2 && buffer[0] === 0x50 && buffer[1] === 0x4B;
-
-  if (isZip) {
-    try {
-      const zip = new AdmZip(buffer);
-      const zipEntries = zip.getEntries();
-
-      // Find .srt file
-      const srtEntry = zipEntries.find(entry =>
-        !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.srt')
-      );
-
-      if (srtEntry) {
-        const subtitleContent = decodeBulgarian(srtEntry.getData());
-        res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.send(subtitleContent);
-        console.log(`[Proxy] Served subtitle ${subtitleId} from ZIP`);
-        return true;
-      }
-
-      // Try .sub file if no .srt found
-      const subEntry = zipEntries.find(entry =>
-        !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.sub')
-      );
-
-      if (subEntry) {
-        const subtitleContent = decodeBulgarian(subEntry.getData());
-        const converted = convertMicroDvdToSrt(subtitleContent);
-        res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.send(converted || subtitleContent);
-        console.log(`[Proxy] Served .sub subtitle ${subtitleId} from ZIP`);
-        return true;
-      }
-
-      // Try .txt file (sometimes used for subtitles)
-      const txtEntry = zipEntries.find(entry =>
-        !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.txt')
-      );
-
-      if (txtEntry) {
-        const subtitleContent = decodeBulgarian(txtEntry.getData());
-        const converted = convertMicroDvdToSrt(subtitleContent);
-        res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.send(converted || subtitleContent);
-        console.log(`[Proxy] Served .txt subtitle ${subtitleId} from ZIP`);
-        return true;
-      }
-
-      console.error(`[Proxy] No subtitle file found in ZIP for ${subtitleId}`);
-      return false;
-    } catch (zipError) {
-      console.error(`[Proxy] ZIP extraction error:`, zipError.message);
-      // Maybe it's not actually a ZIP, try serving raw
-      const decoded = decodeBulgarian(buffer);
-      const converted = convertMicroDvdToSrt(decoded);
-      res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.send(converted || decoded);
-      return true;
-    }
-  } else {
-    // Serve as plain text (handles raw .srt or .sub files)
-    const decoded = decodeBulgarian(buffer);
-    const converted = convertMicroDvdToSrt(decoded);
-    res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.send(converted || decoded);
-    console.log(`[Proxy] Served subtitle ${subtitleId} directly`);
-    return true;
-  }
-}
-
-// Fetch subtitle from Subsunacs using native https (handles malformed server responses)
-function fetchSubsunacs(subtitleId) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'subsunacs.net',
-      path: `/getentry.php?id=${subtitleId}&ei=0`,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Referer': 'https://subsunacs.net',
-        'Accept': '*/*'
-      },
-      insecureHTTPParser: true
-    };
-
-    let resolved = false;
-    const chunks = [];
-    let responseHeaders = {};
-    let statusCode = 0;
-
-    const req = https.request(options, (response) => {
-      responseHeaders = response.headers;
-      statusCode = response.statusCode;
-
-      response.on('data', (chunk) => chunks.push(chunk));
-      response.on('end', () => {
-        if (!resolved) {
-          resolved = true;
-          resolve({
-            data: Buffer.concat(chunks),
-            headers: responseHeaders,
-            statusCode: statusCode
-          });
-        }
-      });
-
-      response.on('error', (err) => {
-        if (!resolved && chunks.length > 0) {
-          resolved = true;
-          resolve({
-            data: Buffer.concat(chunks),
-            headers: responseHeaders,
-            statusCode: statusCode
-          });
-        }
-      });
-    });
-
-    req.on('error', (err) => {
-      if (!resolved) {
-        if (chunks.length > 0) {
-          resolved = true;
-          resolve({
-            data: Buffer.concat(chunks),
-            headers: responseHeaders,
-            statusCode: statusCode
-          });
-        } else {
-          resolved = true;
-          reject(err);
-        }
-      }
-    });
-
-    req.setTimeout(25000, () => {
-      if (!resolved) {
-        req.destroy();
-        resolved = true;
-        reject(new Error('Request timeout'));
-      }
-    });
-
-    req.end();
-  });
-}
-
-// Fetch subtitle from Yavka
-async function fetchYavka(subtitleId) {
-  const provider = getProvider('yavka');
-  if (!provider) {
-    throw new Error('Yavka provider not found');
-  }
-
-  const buffer = await provider.downloadSubtitle(subtitleId);
-  return { data: buffer };
-}
-
-// Fetch subtitle from SubsSab using native http
-function fetchSubsSab(subtitleId) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'subs.sab.bz',
-      path: `/index.php?act=download&attach_id=${subtitleId}`,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Referer': 'http://subs.sab.bz',
-        'Accept': '*/*'
-      }
-    };
-
-    let resolved = false;
-    const chunks = [];
-    let responseHeaders = {};
-    let statusCode = 0;
-
-    const req = http.request(options, (response) => {
-      // Handle redirects
-      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-        const redirectUrl = new URL(response.headers.location, 'http://subs.sab.bz');
-        const redirectOptions = {
-          hostname: redirectUrl.hostname,
-          path: redirectUrl.pathname + redirectUrl.search,
-          method: 'GET',
-          headers: options.headers
-        };
-
-        const redirectReq = http.request(redirectOptions, (redirectResponse) => {
-          redirectResponse.on('data', (chunk) => chunks.push(chunk));
-          redirectResponse.on('end', () => {
-            if (!resolved) {
-              resolved = true;
-              resolve({
-                data: Buffer.concat(chunks),
-                headers: redirectResponse.headers,
-                statusCode: redirectResponse.statusCode
-              });
-            }
-          });
-        });
-
-        redirectReq.on('error', (err) => {
-          if (!resolved) {
-            resolved = true;
-            reject(err);
-          }
-        });
-
-        redirectReq.end();
-        return;
-      }
-
-      responseHeaders = response.headers;
-      statusCode = response.statusCode;
-
-      response.on('data', (chunk) => chunks.push(chunk));
-      response.on('end', () => {
-        if (!resolved) {
-          resolved = true;
-          resolve({
-            data: Buffer.concat(chunks),
-            headers: responseHeaders,
-            statusCode: statusCode
-          });
-        }
-      });
-
-      response.on('error', (err) => {
-        if (!resolved && chunks.length > 0) {
-          resolved = true;
-          resolve({
-            data: Buffer.concat(chunks),
-            headers: responseHeaders,
-            statusCode: statusCode
-          });
-        }
-      });
-    });
-
-    req.on('error', (err) => {
-      if (!resolved) {
-        resolved = true;
-        reject(err);
-      }
-    });
-
-    req.setTimeout(25000, () => {
-      if (!resolved) {
-        req.destroy();
-        resolved = true;
-        reject(new Error('Request timeout'));
-      }
-    });
-
-    req.end();
-  });
-}
-
-// Subtitle proxy endpoint - supports multiple providers
-// URL pattern: /subtitle/:provider/:id.srt
-app.get('/subtitle/:provider/:id.srt', async (req, res) => {
-  const { provider, id: subtitleId } = req.params;
-
-  // Validate subtitle ID (must be numeric)
-  if (!/^\d+$/.test(subtitleId)) {
-    return res.status(400).send('Invalid subtitle ID');
-  }
-
-  // Validate provider
-  const validProviders = ['subsunacs', 'subsab'];
-  if (!validProviders.includes(provider)) {
-    return res.status(400).send('Invalid provider');
-  }
-
-  console.log(`[Proxy] Fetching subtitle ID: ${subtitleId} from ${provider}`);
-
-  try {
-    let response;
-
-    switch (provider) {
-      case 'subsunacs':
-        response = await fetchSubsunacs(subtitleId);
-        break;
-
-      case 'subsab':
-        response = await fetchSubsSab(subtitleId);
-        break;
-
-      default:
-        return res.status(400).send('Unknown provider');
-    }
-
-    const buffer = response.data;
-
-    if (!buffer || buffer.length === 0) {
-      console.error(`[Proxy] Empty response from ${provider} for ${subtitleId}`);
-      return res.status(404).send('Subtitle not found');
-    }
-
-    const success = processSubtitleBuffer(buffer, res, subtitleId);
-    if (!success) {
-      res.status(404).send('Subtitle file not found in archive');
-    }
-
-  } catch (error) {
-    console.error(`[Proxy] Error fetching subtitle ${subtitleId} from ${provider}:`, error.message);
-    res.status(500).send('Error fetching subtitle');
-  }
-});
-
-// Mount the addon router
-app.use(addonRouter);
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('[Error]', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// The base URL comes from each request (PUBLIC_URL, Host header or VERCEL_URL)
+const app = createAddon();
 
 // Export for Vercel
 module.exports = app;
@@ -0,0 +1,569 @@
+/**
+ * The addon as an Express app
+ *
+ * Used by both the local server (index.js) and the Vercel function
+ * (api/index.js), so every route and fix reaches both deployments.
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+const express = require('express');
+const { addonBuilder, getRouter } = require('stremio-addon-sdk');
+const qs = require('querystring');
+const { getIMDBInfo } = require('./imdb');
+const { searchAllProviders, getProvider, listProviders } = require('./providers');
+const { parseStremioId, Cache } = require('./utils');
+const { getBaseUrl, parseAllowedHosts } = require('./base-url');
+const { normalizeConfig, decodeConfig, getConfiguredManifest } = require('./config');
+const { limitPerProvider, sortResults, formatLabel, expandArchiveResults, markSdhResults, addVariants, buildSubtitleUrl } = require('./results');
+const { renderConfigurePage } = require('./configure-page');
+const { detectArchiveType, extractArchive, pickSubtitleFile, listSubtitleEntries } = require('./archive');
+const { findCdParts, joinCdParts, preferCompleteFiles } = require('./multi-cd');
+const { OUTPUT_FORMATS, parseSubtitle, serializeCues, parseTimeParam } = require('./formats');
+const { parseFps, parseSyncParam, applyTiming } = require('./timing');
+const { decodeSubtitleText } = require('./charset');
+const { repairMojibake, fixLatinLookalikes } = require('./mojibake');
+const { cleanupCues, normalizeAdPatterns, isValidAdPattern, MAX_AD_PATTERNS } = require('./cleanup');
+const { stripSdhCues } = require('./sdh');
+const { transliterateCues } = require('./transliterate');
+
+// Define addon manifest
+const manifest = {
+  id: 'org.stremio.subsunacs',
+  version: '2.0.0',
+  name: 'Bulgarian Subtitles',
+  description: `Bulgarian subtitles from multiple providers (${listProviders().map(provider => provider.name).join(', ')})`,
+  logo: 'https://flagcdn.com/w320/bg.png',
+  background: 'https://flagcdn.com/w1280/bg.png',
+  resources: [
+    { name: 'subtitles', types: ['movie', 'series'], idPrefixes: ['tt'] }
+  ],
+  types: ['movie', 'series'],
+  idPrefixes: ['tt'],
+  catalogs: [],
+  behaviorHints: {
+    configurable: true,
+    configurationRequired: false
+  }
+};
+
+// Helper function to send cues as SRT, WebVTT or JSON
+function sendCues(res, cues, outputFormat) {
+  const { contentType, body } = serializeCues(cues, outputFormat);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.send(body);
+}
+
+// Decode a subtitle file of any supported format (SRT, MicroDVD, ASS/SSA,
+// WebVTT, SAMI, MPL2, TMPlayer) into cues; detection goes by content, not name.
+// options.fps is the frame rate for MicroDVD files without a {1}{1}fps header.
+// The charset is detected from the bytes (see lib/charset.js) and returned with the cues
+function decodeSubtitleCues(data, label, options = {}) {
+  const { text, charset } = decodeSubtitleText(data);
+  // Files converted from the wrong charset by their uploader decode to Latin-1 garbage
+  const repaired = repairMojibake(text);
+  if (repaired.repairedLines > 0) {
+    console.log(`[Proxy] ${label}: repaired ${repaired.repairedLines} mis-encoded lines`);
+  }
+  const { format, cues } = parseSubtitle(repaired.text, options);
+  console.log(`[Proxy] ${label}: ${format || 'unknown format'} in ${charset}, ${cues.length} cues`);
+  // Latin letters typed into Cyrillic words; done per cue so markup is never touched
+  return { cues: cues.map(cue => ({ ...cue, text: fixLatinLookalikes(cue.text) })), charset };
+}
+
+// Helper function to extract a subtitle from a downloaded buffer and parse it into cues
+// entryIndex selects a file from listSubtitleEntries() instead of the preferred one;
+// episodeTarget ({ season, episode }) narrows the preferred one in season packs;
+// cd2Offset (ms) overrides where CD2 starts when a CD1/CD2 set is joined;
+// fps (from the search result) converts frame-based formats.
+// Returns { cues, charset }, or null when there is no subtitle we can parse.
+async function extractSubtitleCues(buffer, subtitleId, { entryIndex = null, episodeTarget = null, cd2Offset = null, fps = null } = {}) {
+  const decode = (data, label) => decodeSubtitleCues(data, label, { fps });
+
+  // Check for ZIP/RAR/7z/gzip/tar magic bytes
+  const archiveType = detectArchiveType(buffer);
+
+  if (archiveType) {
+    const archiveLabel = archiveType.toUpperCase();
+
+    try {
+      const files = await extractArchive(buffer);
+
+      // Movies split over CD1/CD2 ship one subtitle per CD; join them into one timeline
+      const cdParts = entryIndex === null && !episodeTarget ? findCdParts(listSubtitleEntries(files)) : null;
+      if (cdParts) {
+        const parts = cdParts.map(file => decode(file.data, file.name));
+        console.log(`[Proxy] Joined ${cdParts.length} CD parts for ${subtitleId} from ${archiveLabel}`);
+        return {
+          cues: joinCdParts(parts.map(part => part.cues), { cd2Offset }),
+          charset: [...new Set(parts.map(part => part.charset))].join(', ')
+        };
+      }
+
+      // Prefer .srt, then .sub, then .txt (sometimes used for subtitles),
+      // and a complete subtitle over a single CD of a split one
+      const subtitleFile = entryIndex === null
+        ? pickSubtitleFile(preferCompleteFiles(files), episodeTarget)
+        : listSubtitleEntries(files)[entryIndex];
+
+      if (!subtitleFile) {
+        console.error(`[Proxy] No subtitle file found in ${archiveLabel} for ${subtitleId}`);
+        return null;
+      }
+
+      const subtitle = decode(subtitleFile.data, subtitleFile.name);
+      console.log(`[Proxy] Using ${subtitleFile.name} for ${subtitleId} from ${archiveLabel}`);
+      return subtitle.cues.length > 0 ? subtitle : null;
+    } catch (archiveError) {
+      console.error(`[Proxy] ${archiveLabel} extraction error:`, archiveError.message);
+      // Maybe it's not actually an archive, try parsing it as a subtitle
+      const subtitle = decode(buffer, subtitleId);
+      return subtitle.cues.length > 0 ? subtitle : null;
+    }
+  }
+
+  // A plain file only has entry 0
+  if (entryIndex) {
+    return null;
+  }
+
+  // Plain subtitle file; anything we can't parse (e.g. an HTML error page) is not served
+  const subtitle = decode(buffer, subtitleId);
+  return subtitle.cues.length > 0 ? subtitle : null;
+}
+
+// Helper function to extract, adjust and send a subtitle
+// options are those of extractSubtitleCues() plus outputFormat ('srt', 'vtt' or 'json'),
+// timing (passed to applyTiming()), stripSdh, cleanup (null, or options for cleanupCues())
+// and translit (Latin output)
+async function processSubtitleBuffer(buffer, res, subtitleId, { outputFormat = 'srt', timing = {}, stripSdh = false, cleanup = null, translit = false, ...extractOptions } = {}) {
+  const subtitle = await extractSubtitleCues(buffer, subtitleId, extractOptions);
+  if (!subtitle) {
+    return false;
+  }
+
+  // Lets players and bug reports see how the file was decoded
+  res.setHeader('X-Subtitle-Charset', subtitle.charset);
+  res.setHeader('Access-Control-Expose-Headers', 'X-Subtitle-Charset');
+  let cues = applyTiming(subtitle.cues, timing);
+  if (stripSdh) {
+    cues = stripSdhCues(cues);
+  }
+  if (cleanup) {
+    cues = cleanupCues(cues, cleanup);
+  }
+  // Last, since the SDH and advert patterns match Cyrillic text
+  if (translit) {
+    cues = transliterateCues(cues);
+  }
+  sendCues(res, cues, outputFormat);
+  console.log(`[Proxy] Served subtitle ${subtitleId} as ${outputFormat}`);
+  return true;
+}
+
+/**
+ * Downloader with a short cache, so the proxy can reuse archives the handler opened
+ * @returns {function(string, string): Promise<Buffer>} (provider, subtitleId) => file contents
+ */
+function createDownloader() {
+  // Bounded, since expandArchives and labelSdh download every result
+  const downloadCache = new Cache(10 * 60 * 1000, { maxEntries: 100, maxBytes: 64 * 1024 * 1024 });
+
+  return async function downloadSubtitle(provider, subtitleId) {
+    const cacheKey = `${provider}_${subtitleId}`;
+    if (downloadCache.has(cacheKey)) {
+      return downloadCache.get(cacheKey);
+    }
+
+    const source = getProvider(provider);
+    if (!source) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    const buffer = await source.download(subtitleId);
+    // A truncated download is still worth a try, but not for the cache's lifetime
+    if (buffer && buffer.length > 0 && !buffer.partial) {
+      downloadCache.set(cacheKey, buffer);
+    }
+    return buffer;
+  };
+}
+
+/**
+ * Stremio subtitles handler: search, shape the results and point them at the proxy
+ * @param {function(string, string): Promise<Buffer>} downloadSubtitle - From createDownloader()
+ * @param {function(): string} baseUrl - Public base URL for proxy links
+ * @returns {function(object): Promise<{subtitles: Array}>} Handler for defineSubtitlesHandler()
+ */
+function createSubtitlesHandler(downloadSubtitle, baseUrl) {
+  return async (args) => {
+    console.log(`[Addon] Subtitle request for: ${args.type} - ${args.id}`);
+
+    try {
+      const config = normalizeConfig(args.config);
+      const extra = args.extra || {};
+      const parsed = parseStremioId(args.id);
+      console.log(`[Addon] Parsed ID:`, parsed);
+      if (extra.filename) {
+        console.log(`[Addon] Playing file: ${extra.filename}`);
+      }
+
+      let imdbInfo;
+      try {
+        imdbInfo = await getIMDBInfo(parsed.imdbId, parsed.type);
+        console.log(`[Addon] IMDB Info:`, imdbInfo);
+      } catch (error) {
+        console.error(`[Addon] Failed to get IMDB info:`, error.message);
+        return { subtitles: [] };
+      }
+
+      // Search all providers in parallel
+      let searchResults;
+      if (parsed.type === 'movie') {
+        searchResults = await searchAllProviders(
+          imdbInfo.title,
+          imdbInfo.year,
+          null,
+          null,
+          parsed.imdbId,
+          config.providers
+        );
+      } else {
+        searchResults = await searchAllProviders(
+          imdbInfo.title,
+          imdbInfo.year,
+          parsed.season,
+          parsed.episode,
+          parsed.imdbId,
+          config.providers
+        );
+      }
+
+      if (searchResults.length === 0) {
+        console.log(`[Addon] No subtitles found`);
+        return { subtitles: [] };
+      }
+
+      // For series the proxy picks the episode out of season-pack archives
+      const episodeTarget = parsed.type === 'series'
+        ? { season: parsed.season, episode: parsed.episode }
+        : null;
+
+      let results = limitPerProvider(searchResults, config.maxResults);
+      if (config.expandArchives) {
+        // One entry per subtitle file inside multi-file archives
+        results = await expandArchiveResults(results, downloadSubtitle, episodeTarget);
+      }
+      results = sortResults(results, config.sort, extra.filename);
+      if (config.labelSdh) {
+        // Needs every subtitle downloaded and parsed, hence opt-in
+        results = await markSdhResults(results, async (result) => {
+          const subtitle = await extractSubtitleCues(await downloadSubtitle(result.provider, result.id), result.id, {
+            entryIndex: result.entryIndex === undefined ? null : result.entryIndex,
+            episodeTarget
+          });
+          return subtitle ? subtitle.cues : [];
+        });
+      }
+      // Retimed copies when the subtitle's fps doesn't match the playing file, plus configured variants
+      results = addVariants(results, {
+        filename: extra.filename,
+        offsets: config.offsetVariants,
+        latin: config.latinVariants
+      });
+
+      const subtitles = results.map((result, index) => {
+        const id = `${result.provider}-${result.id}-${index}`;
+        // New URL pattern includes provider (and the archive entry, if expanded)
+        const url = buildSubtitleUrl(baseUrl(), result, {
+          ...episodeTarget,
+          fps: parseFps(result.fps),
+          ...result.retime,
+          offset: result.offset,
+          cleanup: config.cleanup ? 1 : null,
+          ad: config.cleanup ? config.adPatterns : null,
+          stripSdh: config.stripSdh ? 1 : null,
+          translit: result.transliterate ? 1 : null
+        });
+
+        return {
+          id: id,
+          url: url,
+          lang: 'bul',
+          title: formatLabel(result, config.label)
+        };
+      });
+
+      console.log(`[Addon] Returning ${subtitles.length} subtitle(s) from all providers`);
+      return { subtitles };
+
+    } catch (error) {
+      console.error(`[Addon] Error in subtitle handler:`, error);
+      return { subtitles: [] };
+    }
+  };
+}
+
+/**
+ * Subtitle proxy route handler
+ * URL patterns: /subtitle/:provider/:id.:format and /subtitle/:provider/:id/:entry.:format
+ * (:entry selects one subtitle file inside an archive; :format is srt, vtt or json)
+ * @param {function(string, string): Promise<Buffer>} downloadSubtitle - From createDownloader()
+ * @returns {function(object, object): Promise} Express handler
+ */
+function createSubtitleProxy(downloadSubtitle) {
+  return async function handleSubtitleProxy(req, res) {
+    const { provider, id: subtitleId, entry } = req.params;
+    // ?format= overrides the extension, for clients that can't change the URL path
+    const outputFormat = req.query.format || req.params.format;
+
+    // Validate subtitle ID (must be numeric)
+    if (!/^\d+$/.test(subtitleId)) {
+      return res.status(400).send('Invalid subtitle ID');
+    }
+
+    // Validate archive entry index (must be numeric when present)
+    if (entry !== undefined && !/^\d+$/.test(entry)) {
+      return res.status(400).send('Invalid archive entry');
+    }
+
+    if (!Object.keys(OUTPUT_FORMATS).includes(outputFormat)) {
+      return res.status(400).send('Invalid format');
+    }
+
+    // Validate provider
+    if (!getProvider(provider)) {
+      return res.status(400).send('Invalid provider');
+    }
+
+    // Series episode (?season=1&episode=5), used to pick a file from season packs
+    const season = parseInt(req.query.season, 10);
+    const episode = parseInt(req.query.episode, 10);
+    const episodeTarget = season > 0 && episode > 0 ? { season, episode } : null;
+
+    // Start of CD2 when joining multi-CD subtitles (?cd2offset=2712345 or 00:45:12,345)
+    const cd2Offset = parseTimeParam(req.query.cd2offset);
+    if (req.query.cd2offset !== undefined && cd2Offset === null) {
+      return res.status(400).send('Invalid cd2offset');
+    }
+
+    // Frame rate reported by the provider, for MicroDVD files without a header
+    const fps = parseFps(req.query.fps);
+    if (req.query.fps !== undefined && !fps) {
+      return res.status(400).send('Invalid fps');
+    }
+
+    // Frame-rate conversion (?from=23.976&to=25): both rates or neither
+    const fromFps = parseFps(req.query.from);
+    const toFps = parseFps(req.query.to);
+    if ((req.query.from !== undefined || req.query.to !== undefined) && !(fromFps && toFps)) {
+      return res.status(400).send('Invalid from/to frame rates');
+    }
+
+    // Constant shift (?offset=-2500) and two-point resync (?sync=60000:62500,3600000:3610000)
+    const offset = parseTimeParam(req.query.offset);
+    if (req.query.offset !== undefined && offset === null) {
+      return res.status(400).send('Invalid offset');
+    }
+    const sync = parseSyncParam(req.query.sync);
+    if (req.query.sync !== undefined && !sync) {
+      return res.status(400).send('Invalid sync');
+    }
+
+    // Reference subtitle to align to (?alignTo=subsab/12345, or subsab/12345/2 for an archive entry)
+    const alignTo = req.query.alignTo === undefined
+      ? null
+      : String(req.query.alignTo).match(/^([a-z]+)\/(\d+)(?:\/(\d+))?$/);
+    if (req.query.alignTo !== undefined && !(alignTo && getProvider(alignTo[1]))) {
+      return res.status(400).send('Invalid alignTo');
+    }
+
+    // Opt-in cleanup (?cleanup=1), with extra advert patterns as repeated ?ad=...
+    if (req.query.cleanup !== undefined && !['0', '1'].includes(req.query.cleanup)) {
+      return res.status(400).send('Invalid cleanup');
+    }
+    // Each pattern must be usable; repeats are dropped
+    const adQuery = [].concat(req.query.ad === undefined ? [] : req.query.ad);
+    const adPatterns = normalizeAdPatterns(adQuery);
+    if (!adQuery.every(isValidAdPattern) || new Set(adQuery.map(pattern => pattern.trim())).size > MAX_AD_PATTERNS) {
+      return res.status(400).send('Invalid ad');
+    }
+    const cleanup = req.query.cleanup === '1' ? { adPatterns } : null;
+    // Hearing-impaired annotations (?stripSdh=1)
+    if (req.query.stripSdh !== undefined && !['0', '1'].includes(req.query.stripSdh)) {
+      return res.status(400).send('Invalid stripSdh');
+    }
+    // Latin letters instead of Cyrillic (?translit=1)
+    if (req.query.translit !== undefined && !['0', '1'].includes(req.query.translit)) {
+      return res.status(400).send('Invalid translit');
+    }
+
+    const timing = { retime: fromFps ? { from: fromFps, to: toFps } : null, sync, offset };
+
+    console.log(`[Proxy] Fetching subtitle ID: ${subtitleId} from ${provider}`);
+
+    try {
+      const buffer = await downloadSubtitle(provider, subtitleId);
+
+      if (!buffer || buffer.length === 0) {
+        console.error(`[Proxy] Empty response from ${provider} for ${subtitleId}`);
+        return res.status(404).send('Subtitle not found');
+      }
+
+      // The reference goes through the same extraction, without any timing changes
+      if (alignTo) {
+        const [, alignProvider, alignId, alignEntry] = alignTo;
+        let reference = null;
+        try {
+          const referenceBuffer = await downloadSubtitle(alignProvider, alignId);
+          if (referenceBuffer && referenceBuffer.length > 0) {
+            reference = await extractSubtitleCues(referenceBuffer, alignId, {
+              entryIndex: alignEntry === undefined ? null : parseInt(alignEntry, 10),
+              episodeTarget
+            });
+          }
+        } catch (error) {
+          console.error(`[Proxy] Error fetching reference ${alignProvider}/${alignId}:`, error.message);
+        }
+        if (!reference) {
+          return res.status(404).send('Reference subtitle not found');
+        }
+        timing.align = reference.cues;
+      }
+
+      const success = await processSubtitleBuffer(buffer, res, subtitleId, {
+        entryIndex: entry === undefined ? null : parseInt(entry, 10),
+        episodeTarget,
+        cd2Offset,
+        outputFormat,
+        timing,
+        stripSdh: req.query.stripSdh === '1',
+        cleanup,
+        translit: req.query.translit === '1',
+        fps
+      });
+      if (!success) {
+        res.status(404).send('No subtitle found in a supported format');
+      }
+
+    } catch (error) {
+      console.error(`[Proxy] Error fetching subtitle ${subtitleId} from ${provider}:`, error.message);
+      res.status(500).send('Error fetching subtitle');
+    }
+  };
+}
+
+/**
+ * Build the addon's Express app
+ * @param {object} [options]
+ * @param {string|null} [options.publicUrl] - Fixed public base URL; taken from each request
+ *   (PUBLIC_URL, Host header or VERCEL_URL) when omitted
+ * @param {string|Array<string>|null} [options.allowedHosts] - Hosts accepted from requests
+ *   (default: ALLOWED_HOSTS); others never end up in links
+ * @returns {object} Express app with the addon, subtitle proxy, configure and health routes
+ */
+function createAddon({ publicUrl = null, allowedHosts = process.env.ALLOWED_HOSTS } = {}) {
+  const app = express();
+  const downloadSubtitle = createDownloader();
+  const handleSubtitleProxy = createSubtitleProxy(downloadSubtitle);
+  const hostList = parseAllowedHosts(allowedHosts);
+  const baseUrlFor = req => publicUrl || getBaseUrl(req, { allowedHosts: hostList });
+  // The SDK calls the subtitles handler without the request, so its base URL
+  // travels in async context; concurrent requests on different hosts stay apart
+  const requestContext = new AsyncLocalStorage();
+
+  // Trust proxy for proper IP detection
+  app.set('trust proxy', 1);
+
+  // CORS middleware for Stremio
+  app.use((req, res, next) => {
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Headers', '*');
+    next();
+  });
+
+  app.use((req, res, next) => {
+    requestContext.run({ baseUrl: baseUrlFor(req) }, next);
+  });
+
+  const builder = new addonBuilder(manifest);
+  builder.defineSubtitlesHandler(createSubtitlesHandler(downloadSubtitle, () => {
+    const context = requestContext.getStore();
+    return context ? context.baseUrl : publicUrl || '';
+  }));
+  const addonInterface = builder.getInterface();
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      version: manifest.version,
+      providers: listProviders().map(provider => provider.id)
+    });
+  });
+
+  app.get('/subtitle/:provider/:id.:format(srt|vtt|json)', handleSubtitleProxy);
+  app.get('/subtitle/:provider/:id/:entry.:format(srt|vtt|json)', handleSubtitleProxy);
+
+  // Configuration page (Stremio opens /configure when the addon is configurable)
+  app.get('/', (req, res) => {
+    res.redirect('/configure');
+  });
+
+  app.get('/configure', (req, res) => {
+    res.type('html').send(renderConfigurePage({ manifest, baseUrl: baseUrlFor(req) }));
+  });
+
+  app.get('/:config/configure', (req, res) => {
+    const config = decodeConfig(req.params.config);
+    if (!config) {
+      return res.redirect('/configure');
+    }
+    res.type('html').send(renderConfigurePage({ manifest, baseUrl: baseUrlFor(req), config }));
+  });
+
+  // Configured manifest: /:config/manifest.json (config is base64url JSON)
+  app.get('/:config/manifest.json', (req, res) => {
+    if (!decodeConfig(req.params.config)) {
+      return res.status(400).send('Invalid config');
+    }
+    res.json(getConfiguredManifest(manifest));
+  });
+
+  // Configured subtitles: /:config/subtitles/:type/:id/:extra?.json
+  app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
+    const config = decodeConfig(req.params.config);
+    if (!config) {
+      return res.status(400).json({ err: 'invalid config' });
+    }
+
+    // Same as the SDK router: read extra from the raw URL so encoded '&' survives
+    const extra = req.params.extra ? qs.parse(req.url.split('/').pop().slice(0, -5)) : {};
+
+    try {
+      const response = await addonInterface.get('subtitles', req.params.type, req.params.id, extra, config);
+      res.json(response);
+    } catch (error) {
+      console.error(`[Addon] Configured subtitles error:`, error);
+      res.status(500).json({ err: 'handler error' });
+    }
+  });
+
+  // Mount the addon router
+  app.use(getRouter(addonInterface));
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    console.error('[Error]', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  manifest,
+  createAddon
+};
@@ -0,0 +1,166 @@
+/**
+ * Subtitle alignment against a reference subtitle
+ *
+ * Two subtitles for the same title usually share most cue start times,
+ * up to a constant delay, a frame-rate conversion and, for releases cut
+ * differently (ad breaks, extra scenes), jumps at a few points. We find
+ * the global scale and offset by voting on start-time differences, then
+ * correct what is left locally, cue by cue.
+ */
+
+// Frame-rate pairs subtitles get converted between
+const FRAME_RATES = [23.976, 24, 25, 29.97, 30];
+const SCALES = [...new Set([1, ...FRAME_RATES.flatMap(a => FRAME_RATES.map(b => +(a / b).toFixed(6)))])];
+
+const BIN_MS = 100;
+// Starts closer than this count as the same line
+const MATCH_TOLERANCE_MS = 300;
+// Largest global delay we look for
+const MAX_GLOBAL_OFFSET_MS = 10 * 60 * 1000;
+// Largest jump a cut or ad break may add on top of the global fit
+const MAX_LOCAL_OFFSET_MS = 3 * 60 * 1000;
+// Cues on each side used to estimate a cue's local offset
+const LOCAL_WINDOW = 15;
+const MIN_LOCAL_VOTES = 4;
+// Below this share of matched cues the reference is probably another edit or title
+const MIN_MATCH_RATIO = 0.3;
+
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Vote for the offset that maps the most source times onto reference times
+ * @param {Array<number>} times - Source start times
+ * @param {Array<number>} reference - Sorted reference start times
+ * @param {number} maxOffset - Largest offset to consider, either way
+ * @returns {{offset: number, votes: number}} Best offset (ms) and its support
+ */
+function voteOffset(times, reference, maxOffset) {
+  const bins = new Map();
+  for (const time of times) {
+    const first = lowerBound(reference, time - maxOffset);
+    for (let i = first; i < reference.length && reference[i] <= time + maxOffset; i++) {
+      const bin = Math.round((reference[i] - time) / BIN_MS);
+      bins.set(bin, (bins.get(bin) || 0) + 1);
+    }
+  }
+
+  let bestBin = 0;
+  let bestVotes = 0;
+  for (const bin of bins.keys()) {
+    const votes = (bins.get(bin - 1) || 0) + bins.get(bin) + (bins.get(bin + 1) || 0);
+    if (votes > bestVotes) {
+      bestBin = bin;
+      bestVotes = votes;
+    }
+  }
+
+  if (bestVotes === 0) {
+    return { offset: 0, votes: 0 };
+  }
+
+  // Refine to the mean difference of the matches around the winning bin
+  const center = bestBin * BIN_MS;
+  let sum = 0;
+  let count = 0;
+  for (const time of times) {
+    const index = lowerBound(reference, time + center - MATCH_TOLERANCE_MS);
+    if (index < reference.length && reference[index] <= time + center + MATCH_TOLERANCE_MS) {
+      sum += reference[index] - time;
+      count++;
+    }
+  }
+
+  return { offset: count > 0 ? Math.round(sum / count) : center, votes: count };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Per-cue offsets that remain after the global fit (cuts, ad breaks)
+ * @param {Array<number>} times - Source start times after the global fit
+ * @param {Array<number>} reference - Sorted reference start times
+ * @returns {Array<number>} Offset for each cue (ms)
+ */
+function localOffsets(times, reference) {
+  const estimates = times.map((time, index) => {
+    const window = times.slice(Math.max(0, index - LOCAL_WINDOW), index + LOCAL_WINDOW + 1);
+    const { offset, votes } = voteOffset(window, reference, MAX_LOCAL_OFFSET_MS);
+    return votes >= MIN_LOCAL_VOTES ? offset : null;
+  });
+
+  // Cues without enough support borrow the nearest estimate
+  const known = estimates.map((offset, index) => (offset === null ? null : index)).filter(index => index !== null);
+  if (known.length === 0) {
+    return times.map(() => 0);
+  }
+  const filled = estimates.map((offset, index) => {
+    if (offset !== null) {
+      return offset;
+    }
+    const nearest = known.reduce((best, candidate) =>
+      (Math.abs(candidate - index) < Math.abs(best - index) ? candidate : best));
+    return estimates[nearest];
+  });
+
+  // A median keeps the jumps at cut points sharp but removes stray estimates
+  return filled.map((offset, index) =>
+    median(filled.slice(Math.max(0, index - 4), index + 5)));
+}
+
+/**
+ * Retime cues to match a reference subtitle of the same title
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues to align
+ * @param {Array<{start: number, end: number, text: string}>} reference - Cues with the right timing
+ * @returns {{cues: Array, aligned: boolean, scale: number, offset: number, matchRatio: number}}
+ *   Aligned cues (the input cues when no confident fit was found) and the global fit
+ */
+function alignCues(cues, reference) {
+  const referenceTimes = reference.map(cue => cue.start).sort((a, b) => a - b);
+  const times = cues.map(cue => cue.start);
+
+  let best = { scale: 1, offset: 0, votes: 0 };
+  for (const scale of SCALES) {
+    const { offset, votes } = voteOffset(times.map(time => time * scale), referenceTimes, MAX_GLOBAL_OFFSET_MS);
+    if (votes > best.votes) {
+      best = { scale, offset, votes };
+    }
+  }
+
+  const matchRatio = cues.length > 0 ? best.votes / Math.min(cues.length, reference.length) : 0;
+  if (matchRatio < MIN_MATCH_RATIO) {
+    console.log(`[Align] No confident fit (${Math.round(matchRatio * 100)}% matched), leaving timing as is`);
+    return { cues, aligned: false, scale: 1, offset: 0, matchRatio };
+  }
+
+  const globalFit = time => time * best.scale + best.offset;
+  const fitted = times.map(globalFit);
+  const offsets = localOffsets(fitted, referenceTimes);
+
+  const aligned = cues.map((cue, index) => ({
+    ...cue,
+    start: Math.max(0, Math.round(fitted[index] + offsets[index])),
+    end: Math.max(0, Math.round(globalFit(cue.end) + offsets[index]))
+  }));
+
+  console.log(`[Align] scale ${best.scale}, offset ${best.offset}ms, ${Math.round(matchRatio * 100)}% matched`);
+  return { cues: aligned, aligned: true, scale: best.scale, offset: best.offset, matchRatio };
+}
+
+module.exports = {
+  alignCues
+};
@@ -0,0 +1,337 @@
+/**
+ * Archive detection and extraction for downloaded subtitles
+ *
+ * Providers ship ZIP, RAR (v4/v5), 7z, gzip and tar archives, sometimes
+ * nested (a ZIP with a RAR per CD). Everything here runs in-process
+ * (adm-zip, zlib, WebAssembly unrar and 7-Zip), so it works on Vercel too.
+ */
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { createExtractorFromData } = require('node-unrar-js');
+const SevenZip = require('7z-wasm');
+const { filterEpisodeFiles } = require('./episode');
+
+// Preferred subtitle extensions, in order (.txt is often MPL2 or TMPlayer)
+const SUBTITLE_EXTENSIONS = ['.srt', '.sub', '.ass', '.ssa', '.vtt', '.smi', '.sami', '.txt'];
+
+const RAR4_SIGNATURE = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00]);
+const RAR5_SIGNATURE = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x01, 0x00]);
+const SEVEN_ZIP_SIGNATURE = Buffer.from([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]);
+const GZIP_SIGNATURE = Buffer.from([0x1F, 0x8B]);
+const TAR_MAGIC = Buffer.from('ustar', 'latin1');
+const TAR_BLOCK_SIZE = 512;
+// ZIP compression method of deflated entries
+const ZIP_DEFLATED = 8;
+
+// How many archives-inside-archives we open before giving up
+const DEFAULT_MAX_DEPTH = 3;
+// Most bytes extracted from one download, nested archives included; subtitles
+// are tiny, so anything near this is a decompression bomb or broken upload
+const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+
+function tooLarge() {
+  return new Error('Archive exceeds the extraction size limit');
+}
+
+/**
+ * Charge extracted bytes against a shared budget
+ * @param {{remaining: number}} budget - Bytes still allowed
+ * @param {number} size - Declared or actual size
+ */
+function charge(budget, size) {
+  if (!(size >= 0) || size > budget.remaining) {
+    throw tooLarge();
+  }
+  budget.remaining -= size;
+}
+
+// Check declared sizes before extracting anything; actual sizes are charged afterwards
+function checkDeclared(budget, sizes) {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  if (!(total >= 0) || total > budget.remaining) {
+    throw tooLarge();
+  }
+}
+
+function startsWith(buffer, signature) {
+  return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+}
+
+/**
+ * Detect archive type by magic bytes
+ * @param {Buffer} buffer - Downloaded file
+ * @returns {'zip'|'rar'|'7z'|'gzip'|'tar'|null} Archive type, or null for plain files
+ */
+function detectArchiveType(buffer) {
+  if (buffer.length > 2 && buffer[0] === 0x50 && buffer[1] === 0x4B) {
+    return 'zip';
+  }
+  if (startsWith(buffer, RAR4_SIGNATURE) || startsWith(buffer, RAR5_SIGNATURE)) {
+    return 'rar';
+  }
+  if (startsWith(buffer, SEVEN_ZIP_SIGNATURE)) {
+    return '7z';
+  }
+  if (startsWith(buffer, GZIP_SIGNATURE)) {
+    return 'gzip';
+  }
+  if (buffer.length >= 262 && buffer.subarray(257, 262).equals(TAR_MAGIC)) {
+    return 'tar';
+  }
+  return null;
+}
+
+// Decompress with zlib, stopping at the budget instead of trusting a declared size
+function inflateLimited(inflate, data, budget) {
+  try {
+    return inflate(data, { maxOutputLength: Math.max(1, budget.remaining) });
+  } catch (error) {
+    throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+  }
+}
+
+function listZipFiles(buffer, budget) {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  checkDeclared(budget, entries.map(entry => entry.header.size));
+
+  return entries.map((entry) => {
+    // Declared sizes come from the archive itself, so deflated entries are
+    // capped while inflating; stored ones can't outgrow the download
+    const { method, encrypted } = entry.header;
+    const data = method === ZIP_DEFLATED && !encrypted
+      ? inflateLimited(zlib.inflateRawSync, entry.getCompressedData(), budget)
+      : entry.getData();
+    charge(budget, data.length);
+    return { name: entry.entryName, data };
+  });
+}
+
+async function listRarFiles(buffer, budget) {
+  // The WebAssembly side needs a standalone ArrayBuffer, not a Buffer pool slice
+  const data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+  const extractor = await createExtractorFromData({ data });
+  checkDeclared(budget, [...extractor.getFileList().fileHeaders]
+    .filter(header => !header.flags.directory)
+    .map(header => header.unpSize));
+  const { files } = extractor.extract();
+
+  const result = [];
+  for (const file of files) {
+    if (file.fileHeader.flags.directory || !file.extraction) {
+      continue;
+    }
+    charge(budget, file.extraction.length);
+    result.push({ name: file.fileHeader.name, data: Buffer.from(file.extraction) });
+  }
+  return result;
+}
+
+function list7zFiles(buffer, budget) {
+  const output = [];
+  return SevenZip({ print: line => output.push(line), printErr: () => {} }).then((sevenZip) => {
+    sevenZip.FS.writeFile('/archive.7z', buffer);
+
+    // 7-Zip sets process.exitCode when it finishes; don't let it leak into ours
+    const exitCode = process.exitCode;
+    let status;
+    try {
+      // Technical listing first: one "Size = N" line per entry
+      sevenZip.callMain(['l', '-slt', '/archive.7z']);
+      checkDeclared(budget, output
+        .filter(line => /^Size = \d+$/.test(line))
+        .map(line => parseInt(line.slice(7), 10)));
+      // A dummy password makes encrypted archives fail instead of prompting on stdin
+      status = sevenZip.callMain(['x', '/archive.7z', '-o/out', '-y', '-pnone']);
+    } finally {
+      process.exitCode = exitCode;
+    }
+
+    if (status !== 0) {
+      throw new Error(`7-Zip exited with code ${status}`);
+    }
+
+    const result = [];
+    const walk = (dir, prefix) => {
+      for (const name of sevenZip.FS.readdir(dir)) {
+        if (name === '.' || name === '..') {
+          continue;
+        }
+        const fullPath = `${dir}/${name}`;
+        if (sevenZip.FS.isDir(sevenZip.FS.stat(fullPath).mode)) {
+          walk(fullPath, `${prefix}${name}/`);
+        } else {
+          const data = Buffer.from(sevenZip.FS.readFile(fullPath));
+          charge(budget, data.length);
+          result.push({ name: `${prefix}${name}`, data });
+        }
+      }
+    };
+    walk('/out', '');
+    return result;
+  });
+}
+
+function listGzipFiles(buffer, budget) {
+  // FNAME flag: the original file name follows the 10-byte header.
+  // Without it the file is unnamed and takes the name of the .gz itself.
+  let name = '';
+  if (buffer.length > 10 && (buffer[3] & 0x08) && !(buffer[3] & 0x04)) {
+    const end = buffer.indexOf(0, 10);
+    if (end > 10) {
+      name = buffer.toString('latin1', 10, end);
+    }
+  }
+
+  const data = inflateLimited(zlib.gunzipSync, buffer, budget);
+  charge(budget, data.length);
+  return [{ name, data }];
+}
+
+function readTarString(block, start, length) {
+  const field = block.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+function listTarFiles(buffer, budget) {
+  const result = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const block = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (block.every(byte => byte === 0)) {
+      break;
+    }
+
+    const size = parseInt(readTarString(block, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(block[156] || 0x30);
+    const prefix = readTarString(block, 345, 155);
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === 'L') {
+      // GNU long name for the next entry
+      longName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+
+    if (type === '0') {
+      charge(budget, data.length);
+      const name = longName || (prefix ? `${prefix}/` : '') + readTarString(block, 0, 100);
+      result.push({ name, data: Buffer.from(data) });
+    }
+    longName = null;
+  }
+
+  return result;
+}
+
+/**
+ * List the files inside an archive (one level, nested archives are returned as files)
+ * Rejects archives whose contents would exceed the byte budget, checking
+ * declared sizes before extracting where the format has them.
+ * @param {Buffer} buffer - Archive contents
+ * @param {{remaining: number}} [budget] - Bytes still allowed; reduced by what is extracted
+ * @returns {Promise<Array<{name: string, data: Buffer}>>} Files (directories skipped)
+ */
+async function listArchiveFiles(buffer, budget = { remaining: DEFAULT_MAX_BYTES }) {
+  switch (detectArchiveType(buffer)) {
+    case 'zip':
+      return listZipFiles(buffer, budget);
+    case 'rar':
+      return listRarFiles(buffer, budget);
+    case '7z':
+      return list7zFiles(buffer, budget);
+    case 'gzip':
+      return listGzipFiles(buffer, budget);
+    case 'tar':
+      return listTarFiles(buffer, budget);
+    default:
+      throw new Error('Unsupported archive format');
+  }
+}
+
+/**
+ * Extract an archive, descending into nested archives
+ * Nested archives are detected by magic bytes, not extension. Their files are
+ * named "outer.zip/inner.rar/file.srt" style, relative to the top archive.
+ * @param {Buffer} buffer - Archive contents
+ * @param {object} [options]
+ * @param {number} [options.maxDepth=3] - How many archive levels to open, including this one
+ * @param {number} [options.maxBytes] - Most bytes extracted in total, across all levels
+ * @param {{remaining: number}} [options.budget] - Byte budget shared with nested archives (internal)
+ * @returns {Promise<Array<{name: string, data: Buffer}>>} Plain (non-archive) files
+ */
+async function extractArchive(buffer, { maxDepth = DEFAULT_MAX_DEPTH, maxBytes = DEFAULT_MAX_BYTES, budget = { remaining: maxBytes } } = {}) {
+  const files = await listArchiveFiles(buffer, budget);
+  const result = [];
+
+  for (const file of files) {
+    if (maxDepth > 1 && detectArchiveType(file.data)) {
+      try {
+        const nested = await extractArchive(file.data, { maxDepth: maxDepth - 1, budget });
+        result.push(...nested.map(inner => ({
+          name: [file.name, inner.name].filter(Boolean).join('/'),
+          data: inner.data
+        })));
+      } catch (error) {
+        console.error(`[Archive] Could not open nested archive ${file.name}:`, error.message);
+      }
+      continue;
+    }
+    result.push(file);
+  }
+
+  return result;
+}
+
+/**
+ * Pick the subtitle file from a list of archive files
+ * Follows the SUBTITLE_EXTENSIONS order (.srt first, .txt last), then a
+ * file without an extension (e.g. an unnamed gzip member). For season packs, pass the episode to
+ * narrow the choice; if no file names it, the usual preference applies.
+ * @param {Array<{name: string, data: Buffer}>} files - Archive files
+ * @param {{season: number, episode: number}|null} [target] - Requested episode
+ * @returns {{name: string, data: Buffer}|null} Chosen file
+ */
+function pickSubtitleFile(files, target = null) {
+  if (target) {
+    const episodeFiles = filterEpisodeFiles(listSubtitleEntries(files), target.season, target.episode);
+    if (episodeFiles.length > 0) {
+      return pickSubtitleFile(episodeFiles);
+    }
+  }
+
+  for (const extension of SUBTITLE_EXTENSIONS) {
+    const match = files.find(file => file.name.toLowerCase().endsWith(extension));
+    if (match) {
+      return match;
+    }
+  }
+  return files.find(file => !/\.[^./]+$/.test(file.name)) || null;
+}
+
+/**
+ * List the subtitle files of an extracted archive in a stable order
+ * The position in this list is the entry index used in proxy URLs.
+ * @param {Array<{name: string, data: Buffer}>} files - Extracted files
+ * @returns {Array<{name: string, data: Buffer}>} Subtitle files sorted by name
+ */
+function listSubtitleEntries(files) {
+  return files
+    .filter(file => SUBTITLE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension)))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  detectArchiveType,
+  listArchiveFiles,
+  extractArchive,
+  pickSubtitleFile,
+  listSubtitleEntries
+};
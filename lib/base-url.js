@@ -5,25 +5,82 @@ function normalizeBaseUrl(value) {
   return value.replace(/\/+$/, '');
 }
 
-function getBaseUrl(req) {
+// A bare host name or IP with an optional port; anything else can't be a Host we serve
+const HOST_PATTERN = /^(?:[a-z0-9-]+(?:\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])(?::\d{1,5})?$/i;
+
+/**
+ * Parse an allow-list of hosts ("subs.example.com, *.vercel.app")
+ * @param {string|Array<string>|null} value - Comma-separated hosts or an array of them
+ * @returns {Array<string>} Lower-cased hosts; empty means any host is accepted
+ */
+function parseAllowedHosts(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(host => String(host).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a Host header value is on the allow-list
+ * "*.example.com" matches any subdomain of example.com, but not example.com itself.
+ * @param {string} host - Host header value (may include a port)
+ * @param {Array<string>} allowedHosts - From parseAllowedHosts()
+ * @returns {boolean} True when the host may be used in links
+ */
+function isAllowedHost(host, allowedHosts) {
+  if (!HOST_PATTERN.test(host)) {
+    return false;
+  }
+  if (allowedHosts.length === 0) {
+    return true;
+  }
+
+  const value = host.toLowerCase();
+  const name = value.replace(/:\d+$/, '');
+  return allowedHosts.some((allowed) => {
+    if (allowed.startsWith('*.')) {
+      return name.endsWith(allowed.slice(1));
+    }
+    return allowed === value || allowed === name;
+  });
+}
+
+/**
+ * Public base URL for links we hand out (proxy URLs, the configure page)
+ * PUBLIC_URL wins; otherwise the request's Host (or X-Forwarded-Host) is used
+ * when it is on the allow-list (ALLOWED_HOSTS by default), falling back to VERCEL_URL.
+ * @param {object} req - Express request
+ * @param {object} [options]
+ * @param {Array<string>} [options.allowedHosts] - Accepted hosts (see parseAllowedHosts())
+ * @returns {string} Base URL without a trailing slash, or '' when unknown
+ */
+function getBaseUrl(req, { allowedHosts = parseAllowedHosts(process.env.ALLOWED_HOSTS) } = {}) {
   if (process.env.PUBLIC_URL) {
     return normalizeBaseUrl(process.env.PUBLIC_URL);
   }
 
   const headers = req && req.headers ? req.headers : {};
-  const protocol = headers['x-forwarded-proto'] || 'https';
-  const host = headers.host || headers['x-forwarded-host'] || '';
+  const forwardedProto = String(headers['x-forwarded-proto'] || '').split(',')[0].trim().toLowerCase();
+  const protocol = forwardedProto === 'http' ? 'http' : 'https';
+  const host = String(headers.host || headers['x-forwarded-host'] || '').trim();
 
-  if (!host) {
-    if (process.env.VERCEL_URL) {
-      return `https://${process.env.VERCEL_URL}`;
-    }
-    return '';
+  if (host && isAllowedHost(host, allowedHosts)) {
+    return `${protocol}://${host}`;
+  }
+  if (host) {
+    console.warn(`[BaseUrl] Ignoring untrusted host: ${host.slice(0, 100)}`);
   }
 
-  return `${protocol}://${host}`;
+  if (process.env.VERCEL_URL) {
+    return `https://${process.env.VERCEL_URL}`;
+  }
+  return '';
 }
 
 module.exports = {
-  getBaseUrl
+  getBaseUrl,
+  parseAllowedHosts,
+  isAllowedHost
 };
@@ -0,0 +1,155 @@
+/**
+ * Character set detection for downloaded subtitles
+ *
+ * Bulgarian subtitles come in UTF-8, UTF-16 and a handful of legacy
+ * Cyrillic code pages. BOMs and valid UTF-8 are trusted; everything else
+ * is decoded with each candidate code page and scored by how much the
+ * result looks like Bulgarian text.
+ */
+
+const iconv = require('iconv-lite');
+
+// Single-byte code pages, most common first (wins ties)
+const LEGACY_CHARSETS = ['windows-1251', 'koi8-r', 'iso-8859-5', 'cp866'];
+
+// Bulgarian letter frequencies (%), lower case
+const LETTER_FREQUENCIES = {
+  'а': 10.6, 'о': 9.1, 'е': 8.7, 'и': 8.4, 'т': 7.2, 'н': 6.6, 'р': 4.9, 'с': 4.5,
+  'в': 4.4, 'л': 3.6, 'к': 3.5, 'д': 3.2, 'п': 2.8, 'м': 2.6, 'ъ': 2.1, 'я': 2.0,
+  'з': 1.8, 'у': 1.7, 'г': 1.5, 'б': 1.4, 'ч': 1.3, 'й': 0.9, 'х': 0.8, 'ж': 0.7,
+  'ш': 0.7, 'ц': 0.6, 'щ': 0.5, 'ф': 0.4, 'ю': 0.3, 'ь': 0.05
+};
+// Russian-only letters: possible, but not in Bulgarian text
+const RARE_LETTER_SCORE = Math.log(0.01);
+// Non-letters a code page maps high bytes to: quotes and dashes are fine, box drawing is not
+const ALLOWED_SYMBOLS = /[«»„“”‘’–—…№•·°§©®™ ]/;
+const SYMBOL_PENALTY = -8;
+// A capital right after a lower-case letter ("тЕКСТ") means swapped case halves
+const CASE_PENALTY = -4;
+
+const UTF8_DECODER = new TextDecoder('utf-8', { fatal: true });
+
+function hasBom(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+/**
+ * Guess UTF-16 without a BOM from where the zero and 0x04 (Cyrillic) bytes sit
+ * @param {Buffer} buffer - File contents
+ * @returns {'utf-16le'|'utf-16be'|null} Byte order, or null if not UTF-16
+ */
+function detectUtf16(buffer) {
+  const pairs = Math.floor(Math.min(buffer.length, 4096) / 2);
+  if (pairs < 4) {
+    return null;
+  }
+
+  let highOdd = 0;
+  let highEven = 0;
+  for (let i = 0; i < pairs; i++) {
+    const even = buffer[i * 2];
+    const odd = buffer[i * 2 + 1];
+    if (odd === 0x00 || odd === 0x04) {
+      highOdd++;
+    }
+    if (even === 0x00 || even === 0x04) {
+      highEven++;
+    }
+  }
+
+  if (highOdd / pairs > 0.7 && highEven / pairs < 0.3) {
+    return 'utf-16le';
+  }
+  if (highEven / pairs > 0.7 && highOdd / pairs < 0.3) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * Score how Bulgarian a decoded text looks; higher is better
+ * Only non-ASCII characters are scored, since ASCII decodes the same in every candidate.
+ * @param {string} text - Decoded text
+ * @returns {number} Log-likelihood style score
+ */
+function scoreBulgarian(text) {
+  let score = 0;
+  let previousLower = false;
+
+  for (const char of text) {
+    if (char.charCodeAt(0) < 0x80) {
+      previousLower = /[a-z]/.test(char);
+      continue;
+    }
+
+    const lower = char.toLowerCase();
+    if (/[Ѐ-ӿ]/.test(char)) {
+      const frequency = LETTER_FREQUENCIES[lower];
+      score += frequency ? Math.log(frequency) : RARE_LETTER_SCORE;
+      if (char !== lower && previousLower) {
+        score += CASE_PENALTY;
+      }
+      previousLower = char === lower;
+    } else {
+      score += ALLOWED_SYMBOLS.test(char) ? 0 : SYMBOL_PENALTY;
+      previousLower = false;
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Detect the character set of a subtitle file
+ * @param {Buffer} buffer - File contents
+ * @returns {string} iconv-lite charset name (e.g. 'utf-8', 'windows-1251')
+ */
+function detectCharset(buffer) {
+  if (hasBom(buffer, [0xEF, 0xBB, 0xBF])) {
+    return 'utf-8';
+  }
+  if (hasBom(buffer, [0xFF, 0xFE])) {
+    return 'utf-16le';
+  }
+  if (hasBom(buffer, [0xFE, 0xFF])) {
+    return 'utf-16be';
+  }
+
+  const utf16 = detectUtf16(buffer);
+  if (utf16) {
+    return utf16;
+  }
+
+  try {
+    UTF8_DECODER.decode(buffer);
+    return 'utf-8';
+  } catch (error) {
+    // Not UTF-8; fall through to the legacy code pages
+  }
+
+  let best = { charset: LEGACY_CHARSETS[0], score: -Infinity };
+  for (const charset of LEGACY_CHARSETS) {
+    const score = scoreBulgarian(iconv.decode(buffer, charset));
+    if (score > best.score) {
+      best = { charset, score };
+    }
+  }
+  return best.charset;
+}
+
+/**
+ * Decode a subtitle file to text
+ * @param {Buffer} buffer - File contents
+ * @returns {{text: string, charset: string}} Text (without BOM) and the charset used
+ */
+function decodeSubtitleText(buffer) {
+  const charset = detectCharset(buffer);
+  // iconv-lite strips the BOM by default
+  return { text: iconv.decode(buffer, charset), charset };
+}
+
+module.exports = {
+  detectCharset,
+  decodeSubtitleText,
+  scoreBulgarian
+};
@@ -0,0 +1,136 @@
+/**
+ * Optional cleanup of served subtitles
+ *
+ * Many files open with translator credits and provider adverts, and
+ * hand-edited ones come with cues out of order, overlapping or with
+ * zero-length durations that strict players reject. Numbering is redone
+ * by the SRT serializer anyway.
+ */
+
+const { DEFAULT_CUE_DURATION } = require('./formats/common');
+
+// Credits and adverts found at the start or end of Bulgarian subtitles;
+// only the first and last AD_EDGE_CUES cues are checked, since dialogue mentions URLs too
+const AD_EDGE_CUES = 5;
+const DEFAULT_AD_PATTERNS = [
+  /^\s*(?:<[^>]+>)*\s*(?:превод|субтитри|тайминг|синхронизация|синхрон|корекция|редакция|редактор|преводач)(?:\s+(?:и|&)\s+[а-я]+)*\s*:/i,
+  /\bwww\.|https?:\/\//i,
+  /\b(?:subs\.?sab|subsunacs|unacs|yavka|podnapisi|opensubtitles|addic7ed)\b/i,
+  /\b(?:subtitles|subs|synced?|timing|translation|corrected|ripped)\s+by\b/i
+];
+
+// User patterns are plain text, matched case-insensitively anywhere in a line
+const MAX_AD_PATTERNS = 10;
+const MAX_AD_PATTERN_LENGTH = 100;
+
+/**
+ * Whether a user ad pattern is usable
+ * @param {*} pattern - Candidate pattern
+ * @returns {boolean} True for a non-empty string of at most MAX_AD_PATTERN_LENGTH characters
+ */
+function isValidAdPattern(pattern) {
+  return typeof pattern === 'string' && pattern.trim().length > 0 && pattern.trim().length <= MAX_AD_PATTERN_LENGTH;
+}
+
+/**
+ * Keep the usable user ad patterns
+ * @param {*} patterns - Array of strings (anything else is ignored)
+ * @returns {Array<string>} Trimmed, unique, non-empty patterns, at most MAX_AD_PATTERNS
+ */
+function normalizeAdPatterns(patterns) {
+  if (!Array.isArray(patterns)) {
+    return [];
+  }
+
+  const valid = patterns
+    .filter(isValidAdPattern)
+    .map(pattern => pattern.trim());
+  return [...new Set(valid)].slice(0, MAX_AD_PATTERNS);
+}
+
+function isAdLine(line, adPatterns, atEdge) {
+  const lower = line.toLowerCase();
+  return (atEdge && DEFAULT_AD_PATTERNS.some(pattern => pattern.test(line))) ||
+    adPatterns.some(pattern => lower.includes(pattern.toLowerCase()));
+}
+
+/**
+ * Remove advert and credit lines, dropping cues left without text
+ * The built-in patterns only apply to the first and last AD_EDGE_CUES cues
+ * (by start time); the user's extra patterns apply everywhere.
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {Array<string>} [adPatterns] - Extra plain-text patterns
+ * @returns {Array<{start: number, end: number, text: string}>} Cues without adverts
+ */
+function stripAdCues(cues, adPatterns = []) {
+  // Cues may still be out of order here, so the edges go by start time
+  const order = cues.map((cue, index) => index).sort((a, b) => cues[a].start - cues[b].start);
+  const edges = new Set([...order.slice(0, AD_EDGE_CUES), ...order.slice(-AD_EDGE_CUES)]);
+
+  return cues
+    .map((cue, index) => ({
+      ...cue,
+      text: cue.text.split('\n').filter(line => !isAdLine(line, adPatterns, edges.has(index))).join('\n')
+    }))
+    .filter(cue => cue.text.replace(/<[^>]*>/g, '').trim() !== '');
+}
+
+/**
+ * Sort cues and make their times valid: positive durations, no overlaps
+ * Cues starting at the same time are merged into one.
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @returns {Array<{start: number, end: number, text: string}>} Fixed cues
+ */
+function fixCueTimes(cues) {
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const cue of sorted) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.start === cue.start) {
+      if (previous.text !== cue.text) {
+        previous.text = `${previous.text}\n${cue.text}`;
+      }
+      previous.end = Math.max(previous.end, cue.end);
+      continue;
+    }
+    merged.push({ ...cue });
+  }
+
+  merged.forEach((cue, index) => {
+    const next = merged[index + 1];
+    if (cue.end <= cue.start) {
+      cue.end = cue.start + DEFAULT_CUE_DURATION;
+    }
+    if (next && cue.end > next.start) {
+      cue.end = next.start;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Full cleanup: adverts, order, overlaps and durations
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {object} [options]
+ * @param {Array<string>} [options.adPatterns] - Extra plain-text advert patterns
+ * @returns {Array<{start: number, end: number, text: string}>} Clean cues
+ */
+function cleanupCues(cues, { adPatterns = [] } = {}) {
+  const withoutAds = stripAdCues(cues, adPatterns);
+  if (withoutAds.length < cues.length) {
+    console.log(`[Cleanup] Removed ${cues.length - withoutAds.length} advert cues`);
+  }
+  return fixCueTimes(withoutAds);
+}
+
+module.exports = {
+  DEFAULT_AD_PATTERNS,
+  MAX_AD_PATTERNS,
+  isValidAdPattern,
+  normalizeAdPatterns,
+  stripAdCues,
+  fixCueTimes,
+  cleanupCues
+};
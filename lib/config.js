@@ -0,0 +1,152 @@
+/**
+ * Per-user addon configuration encoded in the manifest URL
+ *
+ * The config segment is base64url-encoded JSON, e.g.
+ * /eyJwcm92aWRlcnMiOlsic3Vic3VuYWNzIl19/manifest.json
+ */
+
+const { providers } = require('./providers');
+const { normalizeAdPatterns } = require('./cleanup');
+
+const MAX_RESULTS_LIMIT = 20;
+
+const SORT_ORDERS = ['default', 'downloads', 'title'];
+
+const LABEL_STYLES = ['full', 'compact', 'title'];
+
+// Pre-shifted copies of every result (ms); a few at most, within 10 minutes
+const MAX_OFFSET_VARIANTS = 4;
+const MAX_OFFSET_MS = 10 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+  providers: Object.keys(providers),
+  maxResults: MAX_RESULTS_LIMIT,
+  sort: 'default',
+  label: 'full',
+  expandArchives: false,
+  offsetVariants: [],
+  cleanup: false,
+  adPatterns: [],
+  stripSdh: false,
+  labelSdh: false,
+  latinVariants: false
+};
+
+/**
+ * Fill in defaults and drop anything we don't understand
+ * @param {object|null} raw - Parsed config object
+ * @returns {object} Complete config
+ */
+function normalizeConfig(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const config = { ...DEFAULT_CONFIG };
+
+  if (Array.isArray(input.providers)) {
+    const enabled = input.providers.filter(id => DEFAULT_CONFIG.providers.includes(id));
+    if (enabled.length > 0) {
+      config.providers = [...new Set(enabled)];
+    }
+  }
+
+  const maxResults = parseInt(input.maxResults, 10);
+  if (!Number.isNaN(maxResults) && maxResults > 0) {
+    config.maxResults = Math.min(maxResults, MAX_RESULTS_LIMIT);
+  }
+
+  if (SORT_ORDERS.includes(input.sort)) {
+    config.sort = input.sort;
+  }
+
+  if (LABEL_STYLES.includes(input.label)) {
+    config.label = input.label;
+  }
+
+  if (typeof input.expandArchives === 'boolean') {
+    config.expandArchives = input.expandArchives;
+  }
+
+  if (Array.isArray(input.offsetVariants)) {
+    const offsets = input.offsetVariants
+      .filter(offset => Number.isInteger(offset) && offset !== 0 && Math.abs(offset) <= MAX_OFFSET_MS);
+    config.offsetVariants = [...new Set(offsets)].slice(0, MAX_OFFSET_VARIANTS);
+  }
+
+  if (typeof input.cleanup === 'boolean') {
+    config.cleanup = input.cleanup;
+  }
+
+  config.adPatterns = normalizeAdPatterns(input.adPatterns);
+
+  if (typeof input.stripSdh === 'boolean') {
+    config.stripSdh = input.stripSdh;
+  }
+
+  if (typeof input.labelSdh === 'boolean') {
+    config.labelSdh = input.labelSdh;
+  }
+
+  if (typeof input.latinVariants === 'boolean') {
+    config.latinVariants = input.latinVariants;
+  }
+
+  return config;
+}
+
+/**
+ * Encode a config object into a URL path segment
+ * @param {object} config - Config object
+ * @returns {string} base64url-encoded JSON
+ */
+function encodeConfig(config) {
+  return Buffer.from(JSON.stringify(normalizeConfig(config)), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a URL path segment into a config object
+ * @param {string} segment - base64url-encoded JSON
+ * @returns {object|null} Normalized config, or null if the segment is malformed
+ */
+function decodeConfig(segment) {
+  if (!segment || !/^[A-Za-z0-9_-]+$/.test(segment)) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return null;
+    }
+    return normalizeConfig(parsed);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Manifest served under /:config/manifest.json
+ * The addon is already configured there, so the Configure button is dropped.
+ * @param {object} manifest - Base manifest
+ * @returns {object} Manifest for a configured install
+ */
+function getConfiguredManifest(manifest) {
+  return {
+    ...manifest,
+    behaviorHints: {
+      ...manifest.behaviorHints,
+      configurable: false,
+      configurationRequired: false
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  MAX_RESULTS_LIMIT,
+  SORT_ORDERS,
+  LABEL_STYLES,
+  MAX_OFFSET_VARIANTS,
+  normalizeConfig,
+  encodeConfig,
+  decodeConfig,
+  getConfiguredManifest
+};
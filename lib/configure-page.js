@@ -0,0 +1,177 @@
+/**
+ * HTML configuration page served at /configure
+ *
+ * Builds the base64url config segment in the browser and shows
+ * the resulting manifest URL and stremio:// install link.
+ */
+
+const { providers } = require('./providers');
+const { DEFAULT_CONFIG, MAX_RESULTS_LIMIT, SORT_ORDERS, LABEL_STYLES, MAX_OFFSET_VARIANTS } = require('./config');
+const { MAX_AD_PATTERNS } = require('./cleanup');
+
+const SORT_LABELS = {
+  default: 'Best match for the playing file',
+  downloads: 'Most downloaded first',
+  title: 'Title (A-Z)'
+};
+
+const LABEL_STYLE_LABELS = {
+  full: 'Provider, title, FPS and uploader',
+  compact: 'Provider and title',
+  title: 'Title only'
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderOptions(values, labels, selected) {
+  return values.map(value => {
+    const attr = value === selected ? ' selected' : '';
+    return `<option value="${escapeHtml(value)}"${attr}>${escapeHtml(labels[value] || value)}</option>`;
+  }).join('');
+}
+
+/**
+ * Render the configuration page
+ * @param {object} options
+ * @param {object} options.manifest - Addon manifest (name, description, logo)
+ * @param {string} options.baseUrl - Public base URL of the addon
+ * @param {object} [options.config] - Config to prefill (default: DEFAULT_CONFIG)
+ * @returns {string} HTML document
+ */
+function renderConfigurePage({ manifest, baseUrl, config = DEFAULT_CONFIG }) {
+  const providerCheckboxes = Object.keys(providers).map(id => {
+    const checked = config.providers.includes(id) ? ' checked' : '';
+    return `<label class="row"><input type="checkbox" name="providers" value="${escapeHtml(id)}"${checked}> ${escapeHtml(providers[id].name)}</label>`;
+  }).join('\n        ');
+
+  // Keep "</script>" out of the inline script
+  const baseUrlJson = JSON.stringify(baseUrl).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(manifest.name)} - Configure</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #1b1b2f; color: #eee; max-width: 560px; margin: 0 auto; padding: 24px; }
+    h1 { display: flex; align-items: center; gap: 12px; font-size: 1.5em; }
+    h1 img { width: 48px; border-radius: 4px; }
+    fieldset { border: 1px solid #444; border-radius: 6px; margin: 0 0 16px; padding: 12px 16px; }
+    .row { display: block; margin: 6px 0; }
+    select, input[type=number], input[type=text], textarea { width: 100%; padding: 6px; margin-top: 4px; box-sizing: border-box; }
+    .install { display: inline-block; background: #7b5bf5; color: #fff; padding: 12px 20px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+    .error { color: #ff8080; }
+  </style>
+</head>
+<body>
+  <h1><img src="${escapeHtml(manifest.logo)}" alt="">${escapeHtml(manifest.name)}</h1>
+  <p>${escapeHtml(manifest.description)}</p>
+
+  <form id="config">
+    <fieldset>
+      <legend>Providers</legend>
+        ${providerCheckboxes}
+    </fieldset>
+    <fieldset>
+      <legend>Results</legend>
+      <label class="row">Maximum results per provider
+        <input type="number" name="maxResults" min="1" max="${MAX_RESULTS_LIMIT}" value="${escapeHtml(config.maxResults)}">
+      </label>
+      <label class="row">Sort order
+        <select name="sort">${renderOptions(SORT_ORDERS, SORT_LABELS, config.sort)}</select>
+      </label>
+      <label class="row">Label style
+        <select name="label">${renderOptions(LABEL_STYLES, LABEL_STYLE_LABELS, config.label)}</select>
+      </label>
+      <label class="row"><input type="checkbox" name="expandArchives"${config.expandArchives ? ' checked' : ''}> List every subtitle inside archives separately (slower)</label>
+      <label class="row">Also list copies shifted by (seconds, comma-separated, up to ${MAX_OFFSET_VARIANTS})
+        <input type="text" name="offsetVariants" placeholder="-2.5, 2.5" value="${escapeHtml(config.offsetVariants.map(offset => offset / 1000).join(', '))}">
+      </label>
+      <label class="row"><input type="checkbox" name="cleanup"${config.cleanup ? ' checked' : ''}> Clean up subtitles (remove translator credits and adverts, fix order and overlapping times)</label>
+      <label class="row">Also remove lines containing (one per line, up to ${MAX_AD_PATTERNS})
+        <textarea name="adPatterns" rows="3">${escapeHtml(config.adPatterns.join('\n'))}</textarea>
+      </label>
+      <label class="row"><input type="checkbox" name="stripSdh"${config.stripSdh ? ' checked' : ''}> Remove hearing-impaired annotations ([музика], (смее се), ЧОВЕК:)</label>
+      <label class="row"><input type="checkbox" name="labelSdh"${config.labelSdh ? ' checked' : ''}> Mark hearing-impaired (SDH) subtitles in the list (slower)</label>
+      <label class="row"><input type="checkbox" name="latinVariants"${config.latinVariants ? ' checked' : ''}> Also list a copy of every subtitle in Latin letters (for players without Cyrillic fonts)</label>
+    </fieldset>
+  </form>
+
+  <p id="error" class="error" hidden>Select at least one provider.</p>
+  <p><a id="install" class="install" href="#">Install in Stremio</a></p>
+  <label class="row">Manifest URL
+    <input id="manifestUrl" type="text" readonly>
+  </label>
+  <button id="copy" type="button">Copy</button>
+
+  <script>
+    (function () {
+      var baseUrl = ${baseUrlJson} || window.location.origin;
+      var form = document.getElementById('config');
+
+      function encode(config) {
+        var bytes = new TextEncoder().encode(JSON.stringify(config));
+        var binary = '';
+        bytes.forEach(function (b) { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+      }
+
+      function update() {
+        var providers = Array.prototype.slice.call(form.querySelectorAll('input[name=providers]:checked'))
+          .map(function (input) { return input.value; });
+        var config = {
+          providers: providers,
+          maxResults: parseInt(form.maxResults.value, 10) || ${MAX_RESULTS_LIMIT},
+          sort: form.sort.value,
+          label: form.label.value,
+          expandArchives: form.expandArchives.checked,
+          offsetVariants: form.offsetVariants.value.split(/[,\\s]+/)
+            .map(function (value) { return Math.round(parseFloat(value) * 1000); })
+            .filter(function (offset) { return offset && !isNaN(offset); }),
+          cleanup: form.cleanup.checked,
+          adPatterns: form.adPatterns.value.split('\\n')
+            .map(function (pattern) { return pattern.trim(); })
+            .filter(function (pattern) { return pattern; }),
+          stripSdh: form.stripSdh.checked,
+          labelSdh: form.labelSdh.checked,
+          latinVariants: form.latinVariants.checked
+        };
+
+        document.getElementById('error').hidden = providers.length > 0;
+
+        var manifestUrl = baseUrl + '/' + encode(config) + '/manifest.json';
+        document.getElementById('manifestUrl').value = manifestUrl;
+        document.getElementById('install').href = manifestUrl.replace(/^https?:\\/\\//, 'stremio://');
+      }
+
+      document.getElementById('copy').addEventListener('click', function () {
+        var input = document.getElementById('manifestUrl');
+        input.select();
+        if (navigator.clipboard) {
+          navigator.clipboard.writeText(input.value);
+        } else {
+          document.execCommand('copy');
+        }
+      });
+
+      form.addEventListener('input', update);
+      form.addEventListener('change', update);
+      update();
+    })();
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderConfigurePage
+};
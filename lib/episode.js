@@ -0,0 +1,86 @@
+/**
+ * Season/episode detection in subtitle file names
+ *
+ * Used to pick the requested episode out of season-pack archives.
+ */
+
+const PATTERNS = [
+  // Show.S01E05, Show s1e5, Show S01.E05
+  { regex: /s(\d{1,2})[ ._-]?e(\d{1,3})(?!\d)/i, season: 1, episode: 2 },
+  // Show.1x05, Show 01x05
+  { regex: /(?:^|[^\d])(\d{1,2})x(\d{2,3})(?!\d)/i, season: 1, episode: 2 },
+  // Show.E05, Show Ep05, Show Episode 5, Show Епизод 5
+  { regex: /(?:^|[^a-z])(?:e|ep|episode|епизод)[ ._-]?(\d{1,3})(?!\d)/i, episode: 1 },
+  // [Group] Show - 05 (1080p)
+  { regex: /\s-\s(\d{1,3})(?:v\d)?(?:\s|\.|\(|\[|$)/, episode: 1 },
+  // 05. Episode Title.srt, 05 - Episode Title.srt
+  { regex: /^(\d{1,3})(?:\s*[-.]\s|\s)/, episode: 1 }
+];
+
+/**
+ * Parse the season and episode from a file name
+ * @param {string} name - File name (directories are ignored)
+ * @returns {{season: number|null, episode: number}|null} Parsed numbers, or null
+ */
+function parseEpisode(name) {
+  const baseName = String(name || '').split('/').pop();
+
+  for (const pattern of PATTERNS) {
+    const match = baseName.match(pattern.regex);
+    if (match) {
+      return {
+        season: pattern.season ? parseInt(match[pattern.season], 10) : null,
+        episode: parseInt(match[pattern.episode], 10)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Keep the files that belong to the requested episode
+ * Files naming the season must match it; files with only an episode number
+ * are accepted when no file matches both.
+ * @param {Array<{name: string}>} files - Candidate files
+ * @param {number} season - Requested season
+ * @param {number} episode - Requested episode
+ * @returns {Array<{name: string}>} Matching files (empty if none match)
+ */
+function filterEpisodeFiles(files, season, episode) {
+  const parsed = files.map(file => ({ file, info: parseEpisode(file.name) }));
+
+  const exact = parsed.filter(({ info }) => info && info.season === season && info.episode === episode);
+  if (exact.length > 0) {
+    return exact.map(({ file }) => file);
+  }
+
+  return parsed
+    .filter(({ info }) => info && info.season === null && info.episode === episode)
+    .map(({ file }) => file);
+}
+
+/**
+ * Turn season-level search results into season-pack candidates
+ * Drops results that name a single episode or a different season.
+ * @param {Array} results - Provider search results
+ * @param {number} season - Requested season
+ * @returns {Array} Results marked with seasonPack: true
+ */
+function selectSeasonPacks(results, season) {
+  return results
+    .filter((result) => {
+      if (parseEpisode(result.title)) {
+        return false;
+      }
+      const seasonMatch = result.title.match(/(?:^|[^a-z])(?:s|season|сезон)\s?0?(\d{1,2})(?!\d)/i);
+      return !seasonMatch || parseInt(seasonMatch[1], 10) === season;
+    })
+    .map(result => ({ ...result, seasonPack: true }));
+}
+
+module.exports = {
+  parseEpisode,
+  filterEpisodeFiles,
+  selectSeasonPacks
+};
@@ -0,0 +1,192 @@
+/**
+ * Advanced SubStation Alpha / SubStation Alpha (.ass, .ssa)
+ *
+ * [Events]
+ * Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+ * Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,{\i1}Text{\i0}\NSecond line
+ *
+ * Italic, bold and underline (from override tags or the style) and primary
+ * colours survive; positioning, karaoke and drawings do not.
+ */
+
+const { timeToMs, finishCues } = require('./common');
+
+const FORMAT = 'ass';
+
+const DEFAULT_EVENT_FORMAT = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+/**
+ * Whether the text looks like ASS/SSA
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for ASS/SSA
+ */
+function detect(text) {
+  return /^\s*\[Script Info\]/im.test(text) || /^\s*Dialogue:\s*[^,]*,\s*\d+:\d{2}:\d{2}[.:]\d+\s*,/im.test(text);
+}
+
+function parseTime(value) {
+  const match = String(value).trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:[.:](\d+))?$/);
+  return match ? timeToMs(match[1], match[2], match[3], match[4]) : null;
+}
+
+// ASS colours are &HAABBGGRR or &HBBGGRR; SRT wants #RRGGBB
+function toHtmlColor(value) {
+  const match = String(value).match(/&?H?([0-9a-f]{1,8})&?/i);
+  if (!match) {
+    return null;
+  }
+  const bgr = match[1].padStart(6, '0').slice(-6);
+  return `#${bgr.slice(4, 6)}${bgr.slice(2, 4)}${bgr.slice(0, 2)}`.toLowerCase();
+}
+
+// SSA writes -1 for on, ASS accepts any non-zero value
+function isOn(value) {
+  return value !== undefined && String(value).trim() !== '' && String(value).trim() !== '0';
+}
+
+function splitFields(line, count) {
+  const fields = [];
+  let rest = line;
+  for (let i = 0; i < count - 1; i++) {
+    const comma = rest.indexOf(',');
+    if (comma === -1) {
+      break;
+    }
+    fields.push(rest.slice(0, comma).trim());
+    rest = rest.slice(comma + 1);
+  }
+  fields.push(rest);
+  return fields;
+}
+
+/**
+ * Convert one Dialogue text field to SRT markup
+ * @param {string} text - Raw event text
+ * @param {{italic: boolean, bold: boolean, underline: boolean}} style - Style defaults
+ * @returns {string|null} Cue text, or null for drawings
+ */
+function convertText(text, style) {
+  const state = { i: style.italic, b: style.bold, u: style.underline, color: null };
+  let output = '';
+  let drawing = false;
+
+  // Tags open at the start and are re-opened after each override block
+  const open = () => `${state.color ? `<font color="${state.color}">` : ''}${state.b ? '<b>' : ''}${state.i ? '<i>' : ''}${state.u ? '<u>' : ''}`;
+  const close = () => `${state.u ? '</u>' : ''}${state.i ? '</i>' : ''}${state.b ? '</b>' : ''}${state.color ? '</font>' : ''}`;
+
+  output += open();
+  for (const part of text.split(/(\{[^}]*\})/)) {
+    if (!part.startsWith('{')) {
+      if (!drawing) {
+        output += part;
+      }
+      continue;
+    }
+
+    output += close();
+    for (const [, tag] of part.matchAll(/\\([^\\}]*)/g)) {
+      const toggle = tag.match(/^([ibup])(\d*)$/i);
+      const color = tag.match(/^1?c(&H[0-9a-f]+&?)?$/i);
+
+      if (toggle) {
+        const [, name, value] = toggle;
+        const key = name.toLowerCase();
+        if (key === 'p') {
+          drawing = isOn(value);
+        } else {
+          const base = { i: style.italic, b: style.bold, u: style.underline }[key];
+          // A bare \i goes back to the style default
+          state[key] = value === '' ? base : isOn(value);
+        }
+      } else if (color) {
+        state.color = color[1] ? toHtmlColor(color[1]) : null;
+      } else if (/^r/.test(tag)) {
+        Object.assign(state, { i: style.italic, b: style.bold, u: style.underline, color: null });
+      }
+    }
+    output += open();
+  }
+  output += close();
+
+  let cleaned = output
+    .replace(/\\N|\\n/g, '\n')
+    .replace(/\\h/g, ' ');
+
+  // Drop tag pairs with nothing between them, innermost first
+  let previous;
+  do {
+    previous = cleaned;
+    cleaned = cleaned
+      .replace(/<(i|b|u)><\/\1>/g, '')
+      .replace(/<font color="[^"]*"><\/font>/g, '');
+  } while (cleaned !== previous);
+
+  return cleaned.trim() ? cleaned : null;
+}
+
+/**
+ * Parse ASS/SSA text into cues
+ * Events are sorted by start time, since files are often in layer order.
+ * @param {string} text - ASS/SSA text
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text) {
+  const styles = new Map();
+  let section = '';
+  let styleFormat = null;
+  let eventFormat = DEFAULT_EVENT_FORMAT;
+  const cues = [];
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      continue;
+    }
+
+    const fieldMatch = line.match(/^([A-Za-z]+):\s*(.*)$/);
+    if (!fieldMatch) {
+      continue;
+    }
+    const [, key, value] = fieldMatch;
+
+    if (section.includes('styles')) {
+      if (key === 'Format') {
+        styleFormat = value.split(',').map(name => name.trim().toLowerCase());
+      } else if (key === 'Style' && styleFormat) {
+        const fields = splitFields(value, styleFormat.length);
+        const get = name => fields[styleFormat.indexOf(name)];
+        styles.set(String(get('name')).trim().replace(/^\*/, ''), {
+          italic: isOn(get('italic')),
+          bold: isOn(get('bold')),
+          underline: isOn(get('underline'))
+        });
+      }
+      continue;
+    }
+
+    if (key === 'Format' && section === 'events') {
+      eventFormat = value.split(',').map(name => name.trim().toLowerCase());
+    } else if (key === 'Dialogue') {
+      const fields = splitFields(value, eventFormat.length);
+      const get = name => fields[eventFormat.indexOf(name)];
+      const styleName = String(get('style') || '').trim().replace(/^\*/, '');
+      const style = styles.get(styleName) || { italic: false, bold: false, underline: false };
+      const start = parseTime(get('start'));
+      const cueText = convertText(get('text') || '', style);
+
+      if (start !== null && cueText !== null) {
+        cues.push({ start, end: parseTime(get('end')), text: cueText });
+      }
+    }
+  }
+
+  return finishCues(cues.sort((a, b) => a.start - b.start));
+}
+
+module.exports = {
+  FORMAT,
+  detect,
+  parse
+};
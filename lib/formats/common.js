@@ -0,0 +1,136 @@
+/**
+ * Helpers shared by the subtitle format parsers
+ *
+ * Every parser produces the same cue model:
+ * { start: number, end: number, text: string }
+ * Times are in milliseconds. Text uses "\n" between lines and the SRT
+ * styling tags (<i>, <b>, <u>, <font color="...">) and nothing else.
+ */
+
+// How long a cue lasts when the format only gives start times (TMPlayer)
+const DEFAULT_CUE_DURATION = 4000;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+/**
+ * Milliseconds from timestamp parts
+ * @param {string|number} hours - Hours
+ * @param {string|number} minutes - Minutes
+ * @param {string|number} seconds - Seconds
+ * @param {string} [fraction] - Fraction of a second as written ("5" = 500 ms, "05" = 50 ms)
+ * @returns {number} Milliseconds
+ */
+function timeToMs(hours, minutes, seconds, fraction) {
+  const ms = fraction ? parseInt(fraction.slice(0, 3).padEnd(3, '0'), 10) : 0;
+  return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 + ms;
+}
+
+/**
+ * Parse a time given in a query parameter
+ * Accepts milliseconds ("2500", "-2500") or a timestamp ("00:45:10,500", "45:10").
+ * @param {string} value - Raw value
+ * @returns {number|null} Milliseconds, or null if unparseable
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text));
+  }
+
+  const match = text.match(/^(-)?(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const ms = timeToMs(match[2] || '0', match[3], match[4], match[5]);
+  return match[1] ? -ms : ms;
+}
+
+/**
+ * Decode HTML entities (named, decimal and hex)
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named === undefined ? entity : named;
+  });
+}
+
+/**
+ * Keep only the tags SRT players understand
+ * <i>, <b>, <u> and <font color> survive (normalized to lower case),
+ * everything else that looks like a tag is removed.
+ * @param {string} text - Cue text with markup
+ * @returns {string} Cue text with SRT markup only
+ */
+function keepSrtTags(text) {
+  return text.replace(/<\s*(\/?)\s*([a-z][a-z0-9.]*)([^>]*)>/gi, (tag, slash, name, attributes) => {
+    const lower = name.toLowerCase();
+    if (['i', 'b', 'u'].includes(lower)) {
+      return `<${slash}${lower}>`;
+    }
+    if (lower === 'font') {
+      if (slash) {
+        return '</font>';
+      }
+      const color = attributes.match(/color\s*=\s*["']?([#\w]+)/i);
+      return color ? `<font color="${color[1]}">` : '';
+    }
+    return '';
+  });
+}
+
+/**
+ * Clean up parsed cues: trim text, drop empty cues and fill in missing
+ * or inverted end times (up to the next cue, at most DEFAULT_CUE_DURATION)
+ * @param {Array<{start: number, end: number|null, text: string}>} cues - Parsed cues
+ * @returns {Array<{start: number, end: number, text: string}>} Cues in the common model
+ */
+function finishCues(cues) {
+  const result = cues.map(cue => ({
+    start: Math.max(0, Math.round(cue.start)),
+    end: cue.end === null || cue.end === undefined ? null : Math.round(cue.end),
+    text: cue.text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n')
+  }));
+
+  // Empty cues still count as "next cue" here: in start-time-only formats
+  // they are how the screen gets cleared
+  result.forEach((cue, index) => {
+    if (cue.end === null || cue.end <= cue.start) {
+      const next = result.slice(index + 1).find(other => other.start > cue.start);
+      cue.end = Math.min(cue.start + DEFAULT_CUE_DURATION, next ? next.start : Infinity);
+    }
+  });
+
+  return result.filter(cue => cue.text.replace(/<[^>]*>/g, '').trim());
+}
+
+module.exports = {
+  DEFAULT_CUE_DURATION,
+  timeToMs,
+  parseTimeParam,
+  decodeEntities,
+  keepSrtTags,
+  finishCues
+};
@@ -0,0 +1,86 @@
+/**
+ * Subtitle format detection, parsing and serialization
+ *
+ * Every format module exports FORMAT, detect(text) and parse(text, options)
+ * returning cues in the common model (see ./common). Formats we can write
+ * also export format(cues).
+ */
+
+const srt = require('./srt');
+const vtt = require('./vtt');
+const ass = require('./ass');
+const sami = require('./sami');
+const microdvd = require('./microdvd');
+const mpl2 = require('./mpl2');
+const tmplayer = require('./tmplayer');
+const { parseTimeParam } = require('./common');
+
+// Detection order matters: the markup-based formats are unambiguous, and
+// SRT comes before TMPlayer because "00:01:02," also starts an SRT timing line
+const formats = {
+  vtt,
+  ass,
+  sami,
+  srt,
+  microdvd,
+  mpl2,
+  tmplayer
+};
+
+// What the subtitle proxy can send back, by URL extension / ?format=
+const OUTPUT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', serialize: srt.format },
+  vtt: { contentType: 'text/vtt; charset=utf-8', serialize: vtt.format },
+  // [{ start, end, text }] with times in milliseconds
+  json: { contentType: 'application/json; charset=utf-8', serialize: cues => JSON.stringify(cues) }
+};
+
+/**
+ * Detect the format of a decoded subtitle file
+ * @param {string} text - Decoded subtitle file
+ * @returns {string|null} Format id (e.g. 'srt', 'microdvd'), or null if unknown
+ */
+function detectFormat(text) {
+  const id = Object.keys(formats).find(key => formats[key].detect(text));
+  return id || null;
+}
+
+/**
+ * Parse a decoded subtitle file of any supported format
+ * @param {string} text - Decoded subtitle file
+ * @param {object} [options] - Passed to the parser (e.g. { fps } for MicroDVD)
+ * @returns {{format: string|null, cues: Array<{start: number, end: number, text: string}>}} Format and cues
+ */
+function parseSubtitle(text, options = {}) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const format = detectFormat(content);
+
+  if (!format) {
+    return { format: null, cues: [] };
+  }
+
+  return { format, cues: formats[format].parse(content, options) };
+}
+
+/**
+ * Serialize cues for the subtitle proxy
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {string} [outputFormat='srt'] - Key of OUTPUT_FORMATS
+ * @returns {{contentType: string, body: string}} Response content
+ */
+function serializeCues(cues, outputFormat = 'srt') {
+  const output = OUTPUT_FORMATS[outputFormat];
+  if (!output) {
+    throw new Error(`Unsupported output format: ${outputFormat}`);
+  }
+  return { contentType: output.contentType, body: output.serialize(cues) };
+}
+
+module.exports = {
+  formats,
+  OUTPUT_FORMATS,
+  detectFormat,
+  parseSubtitle,
+  serializeCues,
+  parseTimeParam
+};
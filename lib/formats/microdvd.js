@@ -0,0 +1,139 @@
+/**
+ * MicroDVD (.sub)
+ *
+ * {100}{150}First line|Second line
+ * Times are frame numbers. An optional first cue {1}{1}23.976 gives the
+ * frame rate. Control codes style one line ({y:i}, {c:$BBGGRR}) or, in
+ * upper case, the whole cue ({Y:i}); a leading "/" makes a line italic.
+ */
+
+const { finishCues } = require('./common');
+
+const FORMAT = 'microdvd';
+
+// Frame rate used when neither the file nor the caller knows better
+const DEFAULT_FPS = 25;
+
+const LINE_PATTERN = /^\{(\d+)\}\{(\d*)\}(.*)$/;
+const CONTROL_CODE = /\{([a-z]):([^}]*)\}/gi;
+
+// {c:$BBGGRR} -> #rrggbb
+function toHtmlColor(value) {
+  const match = value.trim().match(/^\$?([0-9a-f]{6})$/i);
+  if (!match) {
+    return null;
+  }
+  const bgr = match[1].toLowerCase();
+  return `#${bgr.slice(4, 6)}${bgr.slice(2, 4)}${bgr.slice(0, 2)}`;
+}
+
+// Apply a control code to a style; unknown codes (fonts, sizes, positions) are ignored
+function applyCode(style, code, value) {
+  if (code === 'y') {
+    for (const flag of value.toLowerCase().split(',')) {
+      if (['i', 'b', 'u'].includes(flag.trim())) {
+        style[flag.trim()] = true;
+      }
+    }
+  } else if (code === 'c') {
+    style.color = toHtmlColor(value) || style.color;
+  }
+}
+
+function wrap(text, style) {
+  const open = `${style.color ? `<font color="${style.color}">` : ''}${style.b ? '<b>' : ''}${style.i ? '<i>' : ''}${style.u ? '<u>' : ''}`;
+  const close = `${style.u ? '</u>' : ''}${style.i ? '</i>' : ''}${style.b ? '</b>' : ''}${style.color ? '</font>' : ''}`;
+  return text ? `${open}${text}${close}` : text;
+}
+
+/**
+ * Turn MicroDVD control codes into SRT tags
+ * Upper-case codes apply to every line of the cue, lower-case ones only
+ * to the line they are on; a line does not repeat what the cue already has.
+ * @param {string} rawText - Cue text with "|" line breaks
+ * @returns {string} Text with "\n" line breaks and SRT tags
+ */
+function convertText(rawText) {
+  const cueStyle = {};
+  const lines = rawText.split('|').map((rawLine) => {
+    const lineStyle = {};
+    for (const [, code, value] of rawLine.matchAll(CONTROL_CODE)) {
+      applyCode(code === code.toUpperCase() ? cueStyle : lineStyle, code.toLowerCase(), value);
+    }
+
+    let line = rawLine.replace(/\{[^}]*\}/g, '');
+    if (line.startsWith('/')) {
+      line = line.slice(1);
+      lineStyle.i = true;
+    }
+    return { line, lineStyle };
+  });
+
+  const text = lines.map(({ line, lineStyle }) => wrap(line, {
+    i: lineStyle.i && !cueStyle.i,
+    b: lineStyle.b && !cueStyle.b,
+    u: lineStyle.u && !cueStyle.u,
+    color: lineStyle.color !== cueStyle.color ? lineStyle.color : null
+  })).join('\n');
+
+  return wrap(text, cueStyle);
+}
+
+/**
+ * Whether the text looks like MicroDVD
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for MicroDVD
+ */
+function detect(text) {
+  return /^\s*\{\d+\}\{\d*\}/m.test(text);
+}
+
+/**
+ * Parse MicroDVD text into cues
+ * @param {string} text - MicroDVD text
+ * @param {object} [options]
+ * @param {number} [options.fps] - Frame rate when the file has no header
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text, { fps = null } = {}) {
+  let headerFps = null;
+  const entries = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const match = line.trim().match(LINE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] === '' ? null : parseInt(match[2], 10);
+    const rawText = match[3] || '';
+    const trimmed = rawText.trim();
+
+    if (start === end && /^\d+(?:[.,]\d+)?$/.test(trimmed)) {
+      const parsedFps = parseFloat(trimmed.replace(',', '.'));
+      if (!Number.isNaN(parsedFps) && parsedFps > 0) {
+        headerFps = parsedFps;
+        continue;
+      }
+    }
+
+    entries.push({ start, end, text: convertText(rawText) });
+  }
+
+  const frameRate = headerFps || (fps > 0 ? fps : DEFAULT_FPS);
+  const toMs = frame => (frame / frameRate) * 1000;
+
+  return finishCues(entries.map(entry => ({
+    start: toMs(entry.start),
+    end: entry.end === null ? null : toMs(entry.end),
+    text: entry.text
+  })));
+}
+
+module.exports = {
+  FORMAT,
+  DEFAULT_FPS,
+  detect,
+  parse
+};
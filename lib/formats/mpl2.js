@@ -0,0 +1,56 @@
+/**
+ * MPL2
+ *
+ * [123][156]First line|/Second line in italics
+ * Times are in tenths of a second.
+ */
+
+const { finishCues } = require('./common');
+
+const FORMAT = 'mpl2';
+
+const LINE_PATTERN = /^\[(\d+)\]\[(\d*)\](.*)$/;
+
+/**
+ * Whether the text looks like MPL2
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for MPL2
+ */
+function detect(text) {
+  return /^\s*\[\d+\]\[\d*\]/m.test(text);
+}
+
+/**
+ * Parse MPL2 text into cues
+ * @param {string} text - MPL2 text
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text) {
+  const cues = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const match = line.trim().match(LINE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const lines = match[3].split('|').map((part) => {
+      const trimmed = part.trim();
+      return trimmed.startsWith('/') ? `<i>${trimmed.slice(1).trim()}</i>` : trimmed;
+    });
+
+    cues.push({
+      start: parseInt(match[1], 10) * 100,
+      end: match[2] === '' ? null : parseInt(match[2], 10) * 100,
+      text: lines.join('\n')
+    });
+  }
+
+  return finishCues(cues);
+}
+
+module.exports = {
+  FORMAT,
+  detect,
+  parse
+};
@@ -0,0 +1,65 @@
+/**
+ * SAMI (.smi, .sami)
+ *
+ * <SYNC Start=1000><P Class=BGCC>Text<br>Second line
+ * <SYNC Start=2500><P Class=BGCC>&nbsp;
+ * A cue lasts until the next SYNC; "&nbsp;" clears the screen.
+ */
+
+const { decodeEntities, keepSrtTags, finishCues } = require('./common');
+
+const FORMAT = 'sami';
+
+/**
+ * Whether the text looks like SAMI
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for SAMI
+ */
+function detect(text) {
+  return /<SAMI[\s>]/i.test(text) || /<SYNC\s+Start\s*=/i.test(text);
+}
+
+/**
+ * Parse SAMI text into cues
+ * Files with several languages keep the Bulgarian class when there is one,
+ * otherwise the first class used.
+ * @param {string} text - SAMI text
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text) {
+  const body = String(text || '').replace(/<!--[\s\S]*?-->/g, '');
+  const syncs = [];
+
+  const syncPattern = /<SYNC\s+Start\s*=\s*["']?(\d+)["']?[^>]*>([\s\S]*?)(?=<SYNC|<\/BODY|<\/SAMI|$)/gi;
+  for (const [, start, content] of body.matchAll(syncPattern)) {
+    const paragraphs = [];
+    const paragraphPattern = /<P(?:\s+[^>]*?Class\s*=\s*["']?([\w-]+)["']?)?[^>]*>([\s\S]*?)(?=<P[\s>]|$)/gi;
+    for (const [, className, paragraph] of content.matchAll(paragraphPattern)) {
+      paragraphs.push({ className: (className || '').toLowerCase(), text: paragraph });
+    }
+    if (paragraphs.length === 0) {
+      paragraphs.push({ className: '', text: content });
+    }
+    syncs.push({ start: parseInt(start, 10), paragraphs });
+  }
+
+  const classes = [...new Set(syncs.flatMap(sync => sync.paragraphs.map(p => p.className)))];
+  const language = classes.find(name => /^(bg|bul)/.test(name)) || classes[0];
+
+  const cues = syncs.map((sync) => {
+    const paragraph = sync.paragraphs.find(p => p.className === language) || { text: '' };
+    const cueText = keepSrtTags(paragraph.text
+      .replace(/\r?\n/g, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/P>/gi, ''));
+    return { start: sync.start, end: null, text: decodeEntities(cueText).replace(/[ \t]+/g, ' ') };
+  });
+
+  return finishCues(cues.sort((a, b) => a.start - b.start));
+}
+
+module.exports = {
+  FORMAT,
+  detect,
+  parse
+};
@@ -0,0 +1,104 @@
+/**
+ * SubRip (.srt)
+ *
+ * 1
+ * 00:00:01,000 --> 00:00:02,500
+ * Text
+ */
+
+const { timeToMs, keepSrtTags, finishCues } = require('./common');
+
+const FORMAT = 'srt';
+
+const TIMING_PATTERN = /(\d{1,2}):(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?\s*-->\s*(\d{1,2}):(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?/;
+
+/**
+ * Format milliseconds as an SRT timestamp (HH:MM:SS,mmm)
+ * @param {number} totalMs - Time in milliseconds (negative values clamp to 0)
+ * @returns {string} Timestamp
+ */
+function formatSrtTime(totalMs) {
+  const safeMs = Math.max(0, Math.round(totalMs));
+  const ms = safeMs % 1000;
+  const totalSeconds = Math.floor(safeMs / 1000);
+  const seconds = totalSeconds % 60;
+  const totalMinutes = Math.floor(totalSeconds / 60);
+  const minutes = totalMinutes % 60;
+  const hours = Math.floor(totalMinutes / 60);
+
+  const pad2 = (value) => String(value).padStart(2, '0');
+  const pad3 = (value) => String(value).padStart(3, '0');
+
+  return `${pad2(hours)}:${pad2(minutes)}:${pad2(seconds)},${pad3(ms)}`;
+}
+
+/**
+ * Whether the text looks like SRT
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for SRT
+ */
+function detect(text) {
+  return new RegExp(`^\\s*${TIMING_PATTERN.source}`, 'm').test(text);
+}
+
+/**
+ * Parse SRT text into cues
+ * Tolerates missing or wrong indices and "." as the millisecond separator.
+ * @param {string} text - SRT text
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text) {
+  const cues = [];
+  let current = null;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    const timing = line.match(TIMING_PATTERN);
+
+    if (timing) {
+      // A number right before the timing line is the cue index, not text
+      if (current && /^\d+$/.test(current.lines[current.lines.length - 1] || '')) {
+        current.lines.pop();
+      }
+      current = {
+        start: timeToMs(timing[1], timing[2], timing[3], timing[4]),
+        end: timeToMs(timing[5], timing[6], timing[7], timing[8]),
+        lines: []
+      };
+      cues.push(current);
+      continue;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return finishCues(cues.map(cue => ({
+    start: cue.start,
+    end: cue.end,
+    text: keepSrtTags(cue.lines.join('\n'))
+  })));
+}
+
+/**
+ * Serialize cues as SRT, numbering them from 1
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @returns {string} SRT text
+ */
+function format(cues) {
+  const blocks = cues.map((cue, index) => {
+    // A blank line would end the cue early
+    const text = cue.text.replace(/\n\s*\n/g, '\n');
+    return `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${text}\n`;
+  });
+  return `${blocks.join('\n').trim()}\n`;
+}
+
+module.exports = {
+  FORMAT,
+  formatSrtTime,
+  detect,
+  parse,
+  format
+};
@@ -0,0 +1,61 @@
+/**
+ * TMPlayer
+ *
+ * 00:01:02:First line|Second line
+ * Only start times are given; a cue lasts until the next one starts.
+ * Variants use "=" instead of the last ":" and "00:01:02,1=" line numbers
+ * for multi-line cues.
+ */
+
+const { timeToMs, finishCues } = require('./common');
+
+const FORMAT = 'tmplayer';
+
+const LINE_PATTERN = /^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:,\d+)?[:=](.*)$/;
+
+/**
+ * Whether the text looks like TMPlayer
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for TMPlayer
+ */
+function detect(text) {
+  return /^\s*\d{1,2}:\d{1,2}:\d{1,2}(?:,\d+)?[:=]/m.test(text) && !/-->/.test(text);
+}
+
+/**
+ * Parse TMPlayer text into cues
+ * Lines sharing a timestamp are joined into one cue; an empty line text
+ * clears the screen and ends the previous cue.
+ * @param {string} text - TMPlayer text
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text) {
+  const entries = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const match = line.trim().match(LINE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const start = timeToMs(match[1], match[2], match[3]);
+    const cueText = match[4].replace(/\|/g, '\n');
+    const previous = entries[entries.length - 1];
+
+    if (previous && previous.start === start) {
+      previous.text = `${previous.text}\n${cueText}`;
+    } else {
+      entries.push({ start, end: null, text: cueText });
+    }
+  }
+
+  // finishCues() ends each cue at the next start; blank "clear" entries
+  // only exist to provide that end and are dropped there
+  return finishCues(entries);
+}
+
+module.exports = {
+  FORMAT,
+  detect,
+  parse
+};
@@ -0,0 +1,92 @@
+/**
+ * WebVTT (.vtt)
+ *
+ * WEBVTT
+ *
+ * 00:01.000 --> 00:02.500 line:90%
+ * <v Иван>Text
+ */
+
+const { timeToMs, decodeEntities, keepSrtTags, finishCues } = require('./common');
+
+const FORMAT = 'vtt';
+
+const TIMESTAMP = '(?:(\\d+):)?(\\d{1,2}):(\\d{1,2})[.,](\\d{1,3})';
+const TIMING_PATTERN = new RegExp(`^${TIMESTAMP}\\s*-->\\s*${TIMESTAMP}`);
+
+/**
+ * Whether the text looks like WebVTT
+ * @param {string} text - Decoded subtitle file
+ * @returns {boolean} True for WebVTT
+ */
+function detect(text) {
+  return /^\s*WEBVTT/.test(text);
+}
+
+/**
+ * Parse WebVTT text into cues
+ * Cue settings, NOTE/STYLE/REGION blocks, voice and class spans are dropped;
+ * <i>, <b> and <u> are kept.
+ * @param {string} text - WebVTT text
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function parse(text) {
+  const cues = [];
+
+  for (const block of String(text || '').split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/);
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line.trim()));
+    if (timingIndex === -1) {
+      continue;
+    }
+
+    const timing = lines[timingIndex].trim().match(TIMING_PATTERN);
+    cues.push({
+      start: timeToMs(timing[1] || '0', timing[2], timing[3], timing[4]),
+      end: timeToMs(timing[5] || '0', timing[6], timing[7], timing[8]),
+      // Tags first: decoding "&lt;" must not create new ones
+      text: decodeEntities(keepSrtTags(lines.slice(timingIndex + 1).join('\n')))
+    });
+  }
+
+  return finishCues(cues);
+}
+
+function formatVttTime(totalMs) {
+  const safeMs = Math.max(0, Math.round(totalMs));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(safeMs / 3600000);
+  const minutes = Math.floor(safeMs / 60000) % 60;
+  const seconds = Math.floor(safeMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(safeMs % 1000, 3)}`;
+}
+
+function escapeCueText(text) {
+  // Escape everything, then restore the tags WebVTT supports (no <font>)
+  return text
+    .replace(/<\/?font[^>]*>/gi, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/&lt;(\/?[ibu])&gt;/g, '<$1>')
+    .replace(/\n\s*\n/g, '\n');
+}
+
+/**
+ * Serialize cues as WebVTT
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @returns {string} WebVTT text
+ */
+function format(cues) {
+  const blocks = cues.map(cue =>
+    `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${escapeCueText(cue.text)}\n`
+  );
+  return `WEBVTT\n\n${blocks.join('\n')}`;
+}
+
+module.exports = {
+  FORMAT,
+  detect,
+  parse,
+  format
+};
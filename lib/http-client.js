@@ -0,0 +1,350 @@
+/**
+ * Shared HTTP client for upstream requests (IMDB, Cinemeta and the providers)
+ *
+ * Keeps the browser headers, timeouts, retries, keep-alive agents and
+ * outbound proxies in one place, so a single dropped connection doesn't end
+ * in an empty subtitle list.
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Per-attempt timeouts (ms) by kind of request
+const TIMEOUTS = {
+  metadata: 10000,
+  search: 15000,
+  download: 25000
+};
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 300;
+const MAX_RETRY_DELAY = 3000;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Network errors worth another attempt; timeouts are not retried, they already took long enough
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN']);
+
+const SOCKS_PROTOCOLS = new Set(['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:']);
+
+function env(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || '';
+}
+
+/**
+ * Whether a host is excluded from proxying by a NO_PROXY list
+ * Entries are host names (matching subdomains too, with or without a leading
+ * dot), optionally with a port; "*" excludes everything.
+ * @param {URL} url - Request URL
+ * @param {string} noProxy - Comma- or space-separated NO_PROXY value
+ * @returns {boolean} True when the request should go direct
+ */
+function isNoProxy(url, noProxy) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') {
+      return true;
+    }
+    const [, entryHost, entryPort] = entry.toLowerCase().match(/^\[?(.*?)\]?(?::(\d+))?$/);
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+    const name = entryHost.replace(/^\*?\./, '');
+    return hostname === name || hostname.endsWith(`.${name}`);
+  });
+}
+
+/**
+ * Proxy URL for a request
+ * A provider's own <ID>_PROXY (e.g. SUBSUNACS_PROXY) wins, with "direct"
+ * meaning no proxy; otherwise HTTPS_PROXY or HTTP_PROXY by the target's
+ * scheme, unless NO_PROXY excludes the host.
+ * @param {URL} url - Request URL
+ * @param {string|null} provider - Provider ID the request is made for
+ * @returns {string|null} Proxy URL, or null to connect directly
+ */
+function proxyFor(url, provider = null) {
+  const providerProxy = provider ? env(`${provider.toUpperCase()}_PROXY`) : '';
+  if (providerProxy) {
+    return providerProxy === 'direct' ? null : providerProxy;
+  }
+
+  const proxy = url.protocol === 'https:' ? env('HTTPS_PROXY') || env('HTTP_PROXY') : env('HTTP_PROXY');
+  if (!proxy || isNoProxy(url, env('NO_PROXY'))) {
+    return null;
+  }
+  return proxy;
+}
+
+function redactProxy(proxy) {
+  const url = new URL(proxy);
+  return `${url.protocol}//${url.host}`;
+}
+
+function createProxyAgent(proxy) {
+  let proxyUrl;
+  try {
+    proxyUrl = new URL(proxy);
+  } catch (error) {
+    throw new Error('Invalid proxy URL');
+  }
+
+  const options = { keepAlive: true, maxSockets: 8 };
+  if (SOCKS_PROTOCOLS.has(proxyUrl.protocol)) {
+    return new SocksProxyAgent(proxyUrl, options);
+  }
+  if (proxyUrl.protocol === 'http:' || proxyUrl.protocol === 'https:') {
+    // HTTP CONNECT tunnel, for plain HTTP targets too
+    return new HttpsProxyAgent(proxyUrl, options);
+  }
+  throw new Error(`Unsupported proxy protocol: ${proxyUrl.protocol}`);
+}
+
+// One keep-alive agent per origin and proxy, so searches and downloads reuse connections
+const agents = new Map();
+
+function agentFor(url, proxy) {
+  const key = `${url.origin} ${proxy || 'direct'}`;
+  if (!agents.has(key)) {
+    if (proxy) {
+      console.log(`[HTTP] Using proxy ${redactProxy(proxy)} for ${url.origin}`);
+      agents.set(key, createProxyAgent(proxy));
+    } else {
+      const Agent = url.protocol === 'https:' ? https.Agent : http.Agent;
+      agents.set(key, new Agent({ keepAlive: true, maxSockets: 8 }));
+    }
+  }
+  return agents.get(key);
+}
+
+function httpError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+function isRetryable(error) {
+  return RETRYABLE_CODES.has(error.code) || error.status >= 500;
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter
+ * @param {number} attempt - Retry number, from 1
+ * @param {number} baseDelay - Delay of the first retry (ms)
+ * @returns {number} Delay in ms, between half and all of the backoff
+ */
+function retryDelay(attempt, baseDelay) {
+  const backoff = Math.min(MAX_RETRY_DELAY, baseDelay * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+function decompress(body, encoding) {
+  // Flushing what's there keeps a truncated stream readable
+  const options = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(body, options);
+    case 'deflate':
+      return zlib.inflateSync(body, options);
+    case 'br':
+      return zlib.brotliDecompressSync(body, { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH });
+    default:
+      return body;
+  }
+}
+
+// A single request without redirects or retries; resolves with the raw response
+function send(url, { method, headers, body, timeout, lenient, provider }) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const chunks = [];
+    let response = null;
+    let settled = false;
+
+    const settle = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      // Lenient mode keeps whatever arrived before the server closed the
+      // connection; a timeout means a stalled download, so it still fails
+      if (error && !(lenient && response && chunks.length > 0 && error.code === 'ECONNRESET')) {
+        reject(error);
+        return;
+      }
+      const data = Buffer.concat(chunks);
+      // A body matching Content-Length is complete, however the connection ended
+      const expected = parseInt(response.headers['content-length'], 10);
+      resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: data,
+        partial: Boolean(error) && data.length !== expected
+      });
+    };
+
+    const req = transport.request(url, {
+      method,
+      headers,
+      agent: agentFor(url, proxyFor(url, provider)),
+      // Some servers (subsunacs) send headers the strict parser rejects
+      insecureHTTPParser: lenient
+    }, (res) => {
+      response = res;
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => settle());
+      res.on('error', settle);
+      res.on('aborted', () => settle(httpError('Connection closed mid-response', { code: 'ECONNRESET' })));
+    });
+
+    const timer = setTimeout(() => {
+      const error = httpError(`Request timed out after ${timeout}ms`, { code: 'ETIMEDOUT' });
+      settle(error);
+      req.destroy(error);
+    }, timeout);
+
+    req.on('error', settle);
+    req.end(body);
+  });
+}
+
+/**
+ * Make an upstream request
+ * Follows redirects, retries 5xx responses and dropped connections with
+ * backoff, and rejects with an Error carrying `status` (HTTP errors) or
+ * `code` (network errors).
+ * @param {string} url - Absolute URL
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {object} [options.headers] - Extra headers (a browser User-Agent is always sent)
+ * @param {string|URLSearchParams|Buffer} [options.body] - Request body; URLSearchParams is sent as a form
+ * @param {'text'|'json'|'buffer'} [options.responseType='text'] - How to return the body
+ * @param {number} [options.timeout] - Per-attempt timeout in ms (default TIMEOUTS.search)
+ * @param {number} [options.retries] - Extra attempts after a retryable failure
+ * @param {number} [options.retryDelay] - Delay before the first retry (ms); doubles each time
+ * @param {number} [options.maxRedirects] - Redirects to follow before giving up
+ * @param {boolean} [options.lenient=false] - Tolerate malformed headers and keep the body
+ *   received before the server closed the connection (for raw downloads); the
+ *   response is marked partial unless the body matches Content-Length
+ * @param {string|null} [options.provider] - Provider ID, for its own proxy setting
+ * @returns {Promise<{status: number, headers: object, url: string, data: *, partial: boolean}>} Response
+ */
+async function request(url, {
+  method = 'GET',
+  headers = {},
+  body = null,
+  responseType = 'text',
+  timeout = TIMEOUTS.search,
+  retries = DEFAULT_RETRIES,
+  retryDelay: baseDelay = DEFAULT_RETRY_DELAY,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  lenient = false,
+  provider = null
+} = {}) {
+  let payload = body;
+  const requestHeaders = {
+    'User-Agent': USER_AGENT,
+    // A truncated compressed body is of little use, so raw downloads ask for none
+    'Accept-Encoding': lenient ? 'identity' : 'gzip, deflate, br',
+    ...headers
+  };
+  if (payload instanceof URLSearchParams) {
+    payload = payload.toString();
+    requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/x-www-form-urlencoded';
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await follow(new URL(url), { method, headers: requestHeaders, body: payload, responseType, timeout, maxRedirects, lenient, provider });
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = retryDelay(attempt + 1, baseDelay);
+      console.warn(`[HTTP] ${method} ${url} failed (${error.code || error.status}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// One attempt, following redirects
+async function follow(url, { method, headers, body, responseType, timeout, maxRedirects, lenient, provider }) {
+  let current = url;
+  let currentMethod = method;
+  let currentBody = body;
+
+  for (let redirects = 0; ; redirects++) {
+    const requestHeaders = { ...headers };
+    if (currentBody !== null && currentBody !== undefined) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(currentBody);
+    } else {
+      delete requestHeaders['Content-Type'];
+    }
+
+    const response = await send(current, { method: currentMethod, headers: requestHeaders, body: currentBody, timeout, lenient, provider });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      if (redirects >= maxRedirects) {
+        throw httpError(`Too many redirects (${maxRedirects}) for ${url.href}`, { code: 'ERR_TOO_MANY_REDIRECTS' });
+      }
+      current = new URL(response.headers.location, current);
+      // 303, and 301/302 after a POST, continue as a GET like browsers do
+      if (response.status === 303 || ((response.status === 301 || response.status === 302) && currentMethod === 'POST')) {
+        currentMethod = 'GET';
+        currentBody = null;
+      }
+      continue;
+    }
+
+    if (response.status >= 400) {
+      throw httpError(`Request failed with status ${response.status}`, { status: response.status, url: current.href });
+    }
+
+    const raw = response.partial ? response.body : decompress(response.body, response.headers['content-encoding']);
+    let data = raw;
+    if (responseType === 'text') {
+      data = raw.toString('utf8');
+    } else if (responseType === 'json') {
+      data = JSON.parse(raw.toString('utf8'));
+    }
+
+    return { status: response.status, headers: response.headers, url: current.href, data, partial: response.partial };
+  }
+}
+
+/**
+ * GET shortcut for request()
+ * @param {string} url - Absolute URL
+ * @param {object} [options] - As for request()
+ * @returns {Promise<object>} Response
+ */
+function get(url, options = {}) {
+  return request(url, { ...options, method: 'GET' });
+}
+
+/**
+ * POST shortcut for request()
+ * @param {string} url - Absolute URL
+ * @param {string|URLSearchParams|Buffer} body - Request body
+ * @param {object} [options] - As for request()
+ * @returns {Promise<object>} Response
+ */
+function post(url, body, options = {}) {
+  return request(url, { ...options, method: 'POST', body });
+}
+
+module.exports = {
+  request,
+  get,
+  post,
+  retryDelay,
+  proxyFor,
+  USER_AGENT,
+  TIMEOUTS
+};
@@ -2,7 +2,7 @@
  * IMDB scraper to get movie/series information from IMDB ID
  */
 
-const axios = require('axios');
+const httpClient = require('./http-client');
 const cheerio = require('cheerio');
 const { Cache } = require('./utils');
 
@@ -33,13 +33,12 @@ async function getIMDBInfo(imdbId, typeHint = null) {
 
     const url = `https://www.imdb.com/title/${imdbId}/`;
 
-    const response = await axios.get(url, {
+    const response = await httpClient.get(url, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept-Language': 'en-US,en;q=0.9',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
       },
-      timeout: 10000
+      timeout: httpClient.TIMEOUTS.metadata
     });
 
     const $ = cheerio.load(response.data);
@@ -145,12 +144,12 @@ async function getCinemetaInfo(imdbId, typeHint) {
 
     try {
       const url = `https://v3-cinemeta.strem.io/meta/${type}/${imdbId}.json`;
-      const response = await axios.get(url, {
+      const response = await httpClient.get(url, {
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept': 'application/json'
         },
-        timeout: 10000
+        responseType: 'json',
+        timeout: httpClient.TIMEOUTS.metadata
       });
 
       const meta = response.data && response.data.meta ? response.data.meta : null;
@@ -0,0 +1,154 @@
+/**
+ * Repair of mis-converted Bulgarian text
+ *
+ * Some uploaders convert files with the wrong source charset, so what we
+ * decode correctly is already garbage:
+ * - UTF-8 read as Latin-1/Windows-1252: "Ð¢Ð¾Ð²Ð°" for "Това"
+ * - Windows-1251 read as Latin-1/Windows-1252: "Òîâà" for "Това"
+ * Both are reversible, since no bytes were lost. Others type Latin letters
+ * that look like Cyrillic ones ("Тоp" with a Latin p), which breaks
+ * search and some fonts.
+ */
+
+const iconv = require('iconv-lite');
+const { scoreBulgarian } = require('./charset');
+
+// Windows-1252 characters for bytes 0x80-0x9F; Latin-1 covers the rest
+const CP1252_BYTES = new Map();
+for (let byte = 0x80; byte <= 0x9F; byte++) {
+  const char = iconv.decode(Buffer.from([byte]), 'windows-1252');
+  if (char !== '�') {
+    CP1252_BYTES.set(char, byte);
+  }
+}
+
+// Latin letters with a Cyrillic twin
+const LOOKALIKES = {
+  a: 'а', c: 'с', e: 'е', o: 'о', p: 'р', x: 'х', y: 'у',
+  A: 'А', B: 'В', C: 'С', E: 'Е', H: 'Н', K: 'К', M: 'М', O: 'О', P: 'Р', T: 'Т', X: 'Х'
+};
+
+const UTF8_DECODER = new TextDecoder('utf-8', { fatal: true });
+const CYRILLIC = /[Ѐ-ӿ]/;
+// Lead byte of a two-byte Cyrillic UTF-8 sequence, as Latin-1
+const UTF8_MOJIBAKE = /[ÐÑ][\u0080-¿ŒœŠšŸŽžƒˆ˜–-›€™]/g;
+const HIGH_LATIN = /[À-ÿ]/g;
+// A line is only repaired on its own with a Cyrillic word this long ("Òîâà");
+// once one is, lines with shorter ones ("Äà.") are trusted too
+const MIN_CP1251_RUN = 4;
+const MIN_CP1251_RUN_IN_BROKEN_FILE = 2;
+// Mean score per Cyrillic letter the repaired line needs (see scoreBulgarian);
+// rules out letter soup like "ЮЩЬ" that genuine accented text turns into
+const MIN_LETTER_SCORE = 0;
+
+/**
+ * Turn text back into the bytes it was decoded from as Windows-1252
+ * @param {string} text - Mis-decoded text
+ * @returns {Buffer|null} Original bytes, or null if the text could not come from single bytes
+ */
+function toSingleBytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code < 0x100) {
+      bytes.push(code);
+    } else if (CP1252_BYTES.has(char)) {
+      bytes.push(CP1252_BYTES.get(char));
+    } else {
+      return null;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function repairUtf8Line(line) {
+  const matches = line.match(UTF8_MOJIBAKE);
+  if (!matches || matches.length < 2) {
+    return null;
+  }
+
+  const bytes = toSingleBytes(line);
+  if (!bytes) {
+    return null;
+  }
+
+  try {
+    const repaired = UTF8_DECODER.decode(bytes);
+    return CYRILLIC.test(repaired) ? repaired : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function repairCp1251Line(line, minRun) {
+  const runs = line.match(/[À-ÿ]+/g);
+  if (CYRILLIC.test(line) || !runs || !runs.some(run => run.length >= minRun)) {
+    return null;
+  }
+
+  const highLatin = (line.match(HIGH_LATIN) || []).length;
+  const asciiLetters = (line.match(/[a-z]/gi) || []).length;
+  if (highLatin <= asciiLetters) {
+    return null;
+  }
+
+  const bytes = toSingleBytes(line);
+  if (!bytes) {
+    return null;
+  }
+
+  const repaired = iconv.decode(bytes, 'windows-1251');
+  const score = scoreBulgarian(repaired);
+  const letters = (repaired.match(/[Ѐ-ӿ]/g) || []).length;
+  if (score / letters < MIN_LETTER_SCORE || score <= scoreBulgarian(line)) {
+    return null;
+  }
+  return repaired;
+}
+
+/**
+ * Reverse UTF-8 or Windows-1251 text that was decoded as Latin-1/Windows-1252
+ * Works line by line, so files that are only partly broken are fixed too.
+ * Windows-1251 repairs need a long enough Cyrillic word, so accented Latin
+ * text ("ÄÅÆ") is left alone unless the file is clearly broken.
+ * @param {string} text - Decoded subtitle file
+ * @returns {{text: string, repairedLines: number}} Repaired text and how many lines changed
+ */
+function repairMojibake(text) {
+  const lines = String(text || '').split('\n');
+  const repaired = lines.map(line => repairUtf8Line(line) || repairCp1251Line(line, MIN_CP1251_RUN));
+  if (repaired.some(line => line !== null)) {
+    lines.forEach((line, index) => {
+      if (repaired[index] === null) {
+        repaired[index] = repairCp1251Line(line, MIN_CP1251_RUN_IN_BROKEN_FILE);
+      }
+    });
+  }
+
+  const repairedLines = repaired.filter(line => line !== null).length;
+  return { text: lines.map((line, index) => repaired[index] === null ? line : repaired[index]).join('\n'), repairedLines };
+}
+
+/**
+ * Replace Latin look-alike letters inside Cyrillic words ("Тоp" -> "Тор")
+ * Words with other Latin letters are left alone, as they are probably meant to be mixed.
+ * @param {string} text - Cue text
+ * @returns {string} Text with Cyrillic letters only in Cyrillic words
+ */
+function fixLatinLookalikes(text) {
+  return text.replace(/[A-Za-zЀ-ӿ]+/g, word => {
+    if (!CYRILLIC.test(word) || !/[A-Za-z]/.test(word)) {
+      return word;
+    }
+    const latin = word.match(/[A-Za-z]/g);
+    if (!latin.every(char => LOOKALIKES[char])) {
+      return word;
+    }
+    return word.replace(/[A-Za-z]/g, char => LOOKALIKES[char]);
+  });
+}
+
+module.exports = {
+  repairMojibake,
+  fixLatinLookalikes
+};
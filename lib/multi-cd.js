@@ -0,0 +1,131 @@
+/**
+ * Multi-CD subtitle sets (Movie.CD1.srt + Movie.CD2.srt)
+ *
+ * Older movie releases were split over two or more CDs, and their
+ * subtitles restart at 00:00:00 for every part. Joining them needs each
+ * part shifted by the running time of the parts before it.
+ */
+
+const { SUBTITLE_EXTENSIONS } = require('./archive');
+
+// "CD1", "cd 2", "Disc1" - and "1of2" / "2 of 2". Not "Part 2": that is
+// usually a film of its own ("Dune Part Two"), not half of one
+const CD_PATTERN = /(?:^|[^a-z])(?:cd|disc|disk)[ ._-]?(\d)(?!\d)|(?:^|[^\d])(\d)[ ._-]?of[ ._-]?\d(?!\d)/i;
+
+function extensionRank(name) {
+  const lower = name.toLowerCase();
+  const index = SUBTITLE_EXTENSIONS.findIndex(extension => lower.endsWith(extension));
+  return index === -1 ? SUBTITLE_EXTENSIONS.length : index;
+}
+
+/**
+ * Whether a file name marks one CD of a split subtitle
+ * @param {string} name - File name (with path)
+ * @returns {boolean} True for names like "Movie.CD1.srt"
+ */
+function isCdPart(name) {
+  return CD_PATTERN.test(name);
+}
+
+/**
+ * Leave out CD parts when a complete subtitle in an equally preferred format exists
+ * @param {Array<{name: string}>} files - Archive files
+ * @returns {Array<{name: string}>} Files without CD parts, or all of them
+ */
+function preferCompleteFiles(files) {
+  const complete = files.filter(file => !isCdPart(file.name));
+  if (complete.length === 0 || complete.length === files.length) {
+    return files;
+  }
+  const bestRank = Math.min(...files.map(file => extensionRank(file.name)));
+  return Math.min(...complete.map(file => extensionRank(file.name))) <= bestRank ? complete : files;
+}
+
+/**
+ * Find a CD-split subtitle set among archive files
+ * Parts must share a name apart from the CD number and be numbered 1..n.
+ * When several sets exist (e.g. .srt and .sub), the preferred extension wins.
+ * A complete subtitle next to the parts, in an extension at least as
+ * preferred, wins over joining them.
+ * @param {Array<{name: string}>} files - Subtitle files
+ * @returns {Array<{name: string}>|null} Parts in order, or null if there is no set
+ */
+function findCdParts(files) {
+  const groups = new Map();
+
+  for (const file of files) {
+    const match = file.name.match(CD_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const part = parseInt(match[1] || match[2], 10);
+    const key = file.name.replace(match[0], match[0].replace(/\d/, '#')).toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ part, file });
+  }
+
+  const sets = [];
+  for (const members of groups.values()) {
+    members.sort((a, b) => a.part - b.part);
+    const numbered = members.every((member, index) => member.part === index + 1);
+    if (members.length >= 2 && numbered) {
+      sets.push(members.map(member => member.file));
+    }
+  }
+
+  if (sets.length === 0) {
+    return null;
+  }
+
+  sets.sort((a, b) => extensionRank(a[0].name) - extensionRank(b[0].name));
+  const rank = extensionRank(sets[0][0].name);
+  if (files.some(file => !isCdPart(file.name) && extensionRank(file.name) <= rank)) {
+    return null;
+  }
+  return sets[0];
+}
+
+/**
+ * Join the cues of a CD set into one timeline
+ * Each part is shifted to start after the previous one ends, unless it
+ * already continues the timeline. `cd2Offset` overrides the shift of part 2.
+ * @param {Array<Array<{start: number, end: number, text: string}>>} parts - Cues of each part, in order
+ * @param {object} [options]
+ * @param {number|null} [options.cd2Offset] - Explicit start of part 2, in ms
+ * @returns {Array<{start: number, end: number, text: string}>} Joined cues
+ */
+function joinCdParts(parts, { cd2Offset = null } = {}) {
+  const joined = [];
+
+  parts.forEach((cues, index) => {
+    if (cues.length === 0) {
+      return;
+    }
+
+    const previousEnd = joined.length > 0 ? joined[joined.length - 1].end : 0;
+    let offset;
+    if (index === 1 && cd2Offset !== null) {
+      offset = cd2Offset;
+    } else if (cues[0].start >= previousEnd) {
+      offset = 0;
+    } else {
+      offset = previousEnd;
+    }
+
+    for (const cue of cues) {
+      joined.push({ start: cue.start + offset, end: cue.end + offset, text: cue.text });
+    }
+  });
+
+  return joined;
+}
+
+module.exports = {
+  isCdPart,
+  preferCompleteFiles,
+  findCdParts,
+  joinCdParts
+};
@@ -1,11 +1,24 @@
 /**
- * Provider aggregation and common interface for subtitle providers
+ * Provider registry and search aggregation
+ *
+ * Each provider module describes itself:
+ * {
+ *   id: 'subsunacs',
+ *   name: 'Subsunacs',
+ *   enabled: boolean,
+ *   capabilities: { imdbSearch, yearFilter, episodeSearch },
+ *   search(title, year, season, episode, imdbId) => Promise<Array>,
+ *   download(subtitleId) => Promise<Buffer>  (`buffer.partial = true` if truncated)
+ * }
+ * Search, the subtitle proxy, the config page and /health all go through
+ * this registry, so adding a provider means writing its module and
+ * listing it below; disabling one means setting `enabled: false` in it.
  */
 
 const subsunacs = require('./subsunacs');
-// NOTE: Yavka is disabled due to Cloudflare bot protection that blocks server-side requests
-// const yavka = require('./yavka');
 const subsab = require('./subsab');
+const yavka = require('./yavka');
+const { selectSeasonPacks } = require('../episode');
 
 /**
  * Common subtitle result format:
@@ -20,39 +33,85 @@ const subsab = require('./subsab');
  * }
  */
 
-const providers = {
-  subsunacs,
-  // yavka,  // Disabled: Cloudflare protected
-  subsab
-};
+const REGISTERED_PROVIDERS = [subsunacs, subsab, yavka];
+
+// Enabled providers by ID, in search order
+const providers = Object.fromEntries(REGISTERED_PROVIDERS
+  .filter(provider => provider.enabled)
+  .map(provider => [provider.id, provider]));
+
+/**
+ * Search one provider for whole-season uploads ("Show S01", "Show Season 1")
+ * @param {object} provider - Provider module
+ * @param {string} title - Series title
+ * @param {number} season - Season number
+ * @param {string|null} imdbId - IMDB ID, if the provider searches by it
+ * @returns {Promise<Array>} Season-pack results for that season
+ */
+async function searchSeasonPacks(provider, title, season, imdbId) {
+  const seasonPadded = String(season).padStart(2, '0');
+  const results = [];
+  const seenIds = new Set();
+
+  for (const query of [`${title} S${seasonPadded}`, `${title} Season ${season}`]) {
+    for (const result of await provider.search(query, null, null, null, imdbId)) {
+      if (!seenIds.has(result.id)) {
+        seenIds.add(result.id);
+        results.push(result);
+      }
+    }
+  }
+
+  return selectSeasonPacks(results, season);
+}
+
+/**
+ * Search one provider with the arguments its capabilities say it uses
+ * An episode nobody uploaded on its own falls back to season packs.
+ * @param {object} provider - Provider module
+ * @param {string} title - Movie/series title
+ * @param {number|null} year - Release year
+ * @param {number|null} season - Season number (for series)
+ * @param {number|null} episode - Episode number (for series)
+ * @param {string|null} imdbId - IMDB ID
+ * @returns {Promise<Array>} Provider results
+ */
+async function searchProvider(provider, title, year, season, episode, imdbId) {
+  const { imdbSearch, yearFilter, episodeSearch } = provider.capabilities;
+  const providerImdbId = imdbSearch ? imdbId : null;
+
+  if (!episodeSearch) {
+    return provider.search(title, yearFilter ? year : null, null, null, providerImdbId);
+  }
+
+  const results = await provider.search(title, yearFilter ? year : null, season, episode, providerImdbId);
+  if (results.length === 0 && season && episode) {
+    return searchSeasonPacks(provider, title, season, providerImdbId);
+  }
+  return results;
+}
 
 /**
  * Search all providers in parallel and aggregate results
+ * Each provider only gets the arguments its capabilities say it uses.
  * @param {string} title - Movie/series title
  * @param {number|null} year - Release year
  * @param {number|null} season - Season number (for series)
  * @param {number|null} episode - Episode number (for series)
  * @param {string|null} imdbId - IMDB ID (optional, some providers support it)
+ * @param {Array<string>|null} enabledProviders - Provider IDs to query (default: all)
  * @returns {Promise<Array>} Aggregated subtitle results from all providers
  */
-async function searchAllProviders(title, year = null, season = null, episode = null, imdbId = null) {
-  const searchPromises = [
-    subsunacs.search(title, year, season, episode).catch(err => {
-      console.error('[Providers] Subsunacs search failed:', err.message);
-      return [];
-    }),
-    // Yavka disabled due to Cloudflare protection
-    // yavka.search(title, year, season, episode, imdbId).catch(err => {
-    //   console.error('[Providers] Yavka search failed:', err.message);
-    //   return [];
-    // }),
-    subsab.search(title, year, season, episode, imdbId).catch(err => {
-      console.error('[Providers] SubsSab search failed:', err.message);
-      return [];
-    })
-  ];
+async function searchAllProviders(title, year = null, season = null, episode = null, imdbId = null, enabledProviders = null) {
+  const selected = Object.values(providers)
+    .filter(provider => !enabledProviders || enabledProviders.includes(provider.id));
 
-  const results = await Promise.allSettled(searchPromises);
+  const results = await Promise.allSettled(selected.map((provider) => {
+    return searchProvider(provider, title, year, season, episode, imdbId).catch(err => {
+      console.error(`[Providers] ${provider.name} search failed:`, err.message);
+      return [];
+    });
+  }));
 
   const aggregated = [];
   for (const result of results) {
@@ -65,16 +124,25 @@ async function searchAllProviders(title, year = null, season = null, episode = n
 }
 
 /**
- * Get download handler for a specific provider
- * @param {string} provider - Provider name
- * @returns {object|null} Provider module or null if not found
+ * Get an enabled provider
+ * @param {string} provider - Provider ID
+ * @returns {object|null} Provider module or null if unknown or disabled
  */
 function getProvider(provider) {
-  return providers[provider] || null;
+  return Object.prototype.hasOwnProperty.call(providers, provider) ? providers[provider] : null;
+}
+
+/**
+ * Describe the enabled providers (for /health and similar)
+ * @returns {Array<{id: string, name: string, capabilities: object}>} Providers in search order
+ */
+function listProviders() {
+  return Object.values(providers).map(({ id, name, capabilities }) => ({ id, name, capabilities }));
 }
 
 module.exports = {
   searchAllProviders,
   getProvider,
+  listProviders,
   providers
 };
@@ -2,8 +2,7 @@
  * Subs.sab.bz provider for Bulgarian subtitles
  */
 
-const axios = require('axios');
-const http = require('http');
+const httpClient = require('../http-client');
 const cheerio = require('cheerio');
 const iconv = require('iconv-lite');
 const { sanitizeTitle, formatSeriesTitle, Cache } = require('../utils');
@@ -15,17 +14,6 @@ const BASE_URL = 'http://subs.sab.bz';  // Note: HTTP, not HTTPS
 // Cache search results for 1 hour
 const cache = new Cache(60 * 60 * 1000);
 
-// Create axios instance with HTTP agent for subs.sab.bz
-const httpAgent = new http.Agent({
-  keepAlive: true
-});
-
-const client = axios.create({
-  httpAgent,
-  timeout: 15000,
-  responseType: 'arraybuffer'  // Get raw bytes to handle encoding
-});
-
 async function searchSubtitlesByQuery(searchTitle, year = null, imdbId = null) {
   const cacheKey = `subsab_${searchTitle}_${year || 'no-year'}_${imdbId || 'no-imdb'}`;
 
@@ -45,18 +33,19 @@ async function searchSubtitlesByQuery(searchTitle, year = null, imdbId = null) {
       'yr': year || ''
     });
 
-    const response = await client.post(`${BASE_URL}/index.php`, formData.toString(), {
+    const response = await httpClient.post(`${BASE_URL}/index.php`, formData, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Content-Type': 'application/x-www-form-urlencoded',
         'Referer': BASE_URL,
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'bg,en-US;q=0.7,en;q=0.3'
-      }
+      },
+      responseType: 'buffer',  // Get raw bytes to handle encoding
+      timeout: httpClient.TIMEOUTS.search,
+      provider: PROVIDER
     });
 
     // Decode from windows-1251 (Bulgarian encoding used by subs.sab.bz)
-    const html = iconv.decode(Buffer.from(response.data), 'windows-1251');
+    const html = iconv.decode(response.data, 'windows-1251');
     const $ = cheerio.load(html);
     const results = [];
 
@@ -233,21 +222,25 @@ function getDownloadUrl(subtitleId) {
 async function downloadSubtitle(subtitleId) {
   const downloadUrl = getDownloadUrl(subtitleId);
 
-  const response = await client.get(downloadUrl, {
+  const response = await httpClient.get(downloadUrl, {
     headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       'Referer': BASE_URL
     },
-    responseType: 'arraybuffer',
-    timeout: 25000,
-    maxRedirects: 5
+    responseType: 'buffer',
+    timeout: httpClient.TIMEOUTS.download,
+    provider: PROVIDER
   });
 
-  return Buffer.from(response.data);
+  return response.data;
 }
 
 module.exports = {
+  id: PROVIDER,
+  name: PROVIDER_NAME,
+  enabled: true,
+  capabilities: { imdbSearch: true, yearFilter: true, episodeSearch: true },
   search,
+  download: downloadSubtitle,
   getDownloadUrl,
   downloadSubtitle,
   PROVIDER,
@@ -2,7 +2,7 @@
  * Subsunacs.net provider for Bulgarian subtitles
  */
 
-const axios = require('axios');
+const httpClient = require('../http-client');
 const cheerio = require('cheerio');
 const { sanitizeTitle, formatSeriesTitle, Cache } = require('../utils');
 
@@ -37,15 +37,14 @@ async function searchSubtitlesByQuery(searchTitle, year = null) {
       'imdbcheck': '1'
     });
 
-    const response = await axios.post(`${BASE_URL}/search.php`, formData.toString(), {
+    const response = await httpClient.post(`${BASE_URL}/search.php`, formData, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Content-Type': 'application/x-www-form-urlencoded',
         'Referer': BASE_URL,
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'bg,en-US;q=0.7,en;q=0.3'
       },
-      timeout: 15000
+      timeout: httpClient.TIMEOUTS.search,
+      provider: PROVIDER
     });
 
     const $ = cheerio.load(response.data);
@@ -176,9 +175,41 @@ function getDownloadUrl(subtitleId) {
   return `${BASE_URL}/getentry.php?id=${subtitleId}&ei=0`;
 }
 
+/**
+ * Download a subtitle file (or archive) from Subsunacs
+ * Uses the client's lenient mode, since the server sends malformed headers
+ * and sometimes drops the connection after the body; what arrived is kept.
+ * @param {string} subtitleId - The subtitle ID
+ * @returns {Promise<Buffer>} Subtitle file buffer, with `partial` set if it was cut short
+ */
+async function downloadSubtitle(subtitleId) {
+  const response = await httpClient.get(getDownloadUrl(subtitleId), {
+    headers: {
+      'Referer': BASE_URL,
+      'Accept': '*/*'
+    },
+    responseType: 'buffer',
+    timeout: httpClient.TIMEOUTS.download,
+    provider: PROVIDER,
+    lenient: true
+  });
+
+  if (response.partial) {
+    console.warn(`[Subsunacs] Download ${subtitleId} was cut short (${response.data.length} bytes)`);
+    response.data.partial = true;
+  }
+  return response.data;
+}
+
 module.exports = {
+  id: PROVIDER,
+  name: PROVIDER_NAME,
+  enabled: true,
+  capabilities: { imdbSearch: false, yearFilter: true, episodeSearch: true },
   search,
+  download: downloadSubtitle,
   getDownloadUrl,
+  downloadSubtitle,
   PROVIDER,
   PROVIDER_NAME,
   BASE_URL
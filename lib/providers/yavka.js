@@ -2,7 +2,7 @@
  * Yavka.net provider for Bulgarian subtitles
  */
 
-const axios = require('axios');
+const httpClient = require('../http-client');
 const cheerio = require('cheerio');
 const { sanitizeTitle, formatSeriesTitle, Cache } = require('../utils');
 
@@ -31,15 +31,14 @@ async function searchSubtitlesByQuery(searchTitle, year = null, imdbId = null) {
       'i': imdbId || ''  // IMDB ID (ttXXXXXXX format)
     });
 
-    const response = await axios.post(`${BASE_URL}/subtitles`, formData.toString(), {
+    const response = await httpClient.post(`${BASE_URL}/subtitles`, formData, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Content-Type': 'application/x-www-form-urlencoded',
         'Referer': BASE_URL,
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'bg,en-US;q=0.7,en;q=0.3'
       },
-      timeout: 15000
+      timeout: httpClient.TIMEOUTS.search,
+      provider: PROVIDER
     });
 
     const $ = cheerio.load(response.data);
@@ -243,13 +242,13 @@ async function downloadSubtitle(subtitleId) {
   const pageUrl = getDownloadUrl(subtitleId);
 
   // Step 1: Fetch the subtitle page
-  const pageResponse = await axios.get(pageUrl, {
+  const pageResponse = await httpClient.get(pageUrl, {
     headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       'Referer': BASE_URL,
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
     },
-    timeout: 15000
+    timeout: httpClient.TIMEOUTS.search,
+    provider: PROVIDER
   });
 
   const $ = cheerio.load(pageResponse.data);
@@ -282,41 +281,44 @@ async function downloadSubtitle(subtitleId) {
       });
 
       // Submit the form
-      const downloadResponse = await axios.post(downloadUrl, formData.toString(), {
+      const downloadResponse = await httpClient.post(downloadUrl, formData, {
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Content-Type': 'application/x-www-form-urlencoded',
           'Referer': pageUrl
         },
-        responseType: 'arraybuffer',
-        timeout: 25000,
-        maxRedirects: 5
+        responseType: 'buffer',
+        timeout: httpClient.TIMEOUTS.download,
+        provider: PROVIDER
       });
 
-      return Buffer.from(downloadResponse.data);
+      return downloadResponse.data;
     }
   }
 
   // Direct download if we found a link
   if (downloadUrl) {
-    const downloadResponse = await axios.get(downloadUrl, {
+    const downloadResponse = await httpClient.get(downloadUrl, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Referer': pageUrl
       },
-      responseType: 'arraybuffer',
-      timeout: 25000,
-      maxRedirects: 5
+      responseType: 'buffer',
+      timeout: httpClient.TIMEOUTS.download,
+      provider: PROVIDER
     });
 
-    return Buffer.from(downloadResponse.data);
+    return downloadResponse.data;
   }
 
   throw new Error('Could not find download link on Yavka subtitle page');
 }
 
 module.exports = {
+  id: PROVIDER,
+  name: PROVIDER_NAME,
+  // Disabled: Cloudflare bot protection blocks server-side requests
+  enabled: false,
+  capabilities: { imdbSearch: true, yearFilter: true, episodeSearch: true },
   search,
+  download: downloadSubtitle,
   getDownloadUrl,
   downloadSubtitle,
   PROVIDER,
@@ -0,0 +1,197 @@
+/**
+ * Release name parsing and matching
+ *
+ * Used to rank subtitle results against the file Stremio is playing
+ * (args.extra.filename), e.g. "The.Matrix.1999.1080p.BluRay.x264-SPARKS.mkv".
+ */
+
+const SOURCES = [
+  { name: 'BluRay', family: 'bluray', pattern: /\b(?:blu-?ray|bdremux|remux)\b/ },
+  { name: 'BDRip', family: 'bluray', pattern: /\b(?:bdrip|brrip|bd-?rip|br-?rip)\b/ },
+  { name: 'WEB-DL', family: 'web', pattern: /\bweb-?dl\b/ },
+  { name: 'WEBRip', family: 'web', pattern: /\bweb-?rip\b/ },
+  { name: 'WEB', family: 'web', pattern: /\bweb\b/ },
+  { name: 'HDTV', family: 'tv', pattern: /\b(?:hdtv|pdtv|dsr|tvrip)\b/ },
+  { name: 'DVDRip', family: 'dvd', pattern: /\bdvd-?rip\b/ },
+  { name: 'DVD', family: 'dvd', pattern: /\b(?:dvd-?r|dvd5|dvd9|dvd)\b/ },
+  { name: 'HDRip', family: 'hdrip', pattern: /\bhd-?rip\b/ },
+  { name: 'CAM', family: 'cam', pattern: /\b(?:cam|hdcam|ts|telesync|hdts)\b/ }
+];
+
+const RESOLUTIONS = [
+  { name: '2160p', pattern: /\b(?:2160p|4k|uhd)\b/ },
+  { name: '1080p', pattern: /\b1080[pi]\b/ },
+  { name: '720p', pattern: /\b720p\b/ },
+  { name: '576p', pattern: /\b576p\b/ },
+  { name: '480p', pattern: /\b480p\b/ }
+];
+
+const CODECS = [
+  { name: 'x265', pattern: /\b(?:x265|h\s?265|hevc)\b/ },
+  { name: 'x264', pattern: /\b(?:x264|h\s?264|avc)\b/ },
+  { name: 'XviD', pattern: /\bxvid\b/ },
+  { name: 'DivX', pattern: /\bdivx\b/ }
+];
+
+const EDITIONS = [
+  { name: 'Extended', pattern: /\bextended\b/ },
+  { name: "Director's Cut", pattern: /\b(?:director'?s\s?cut|dc)\b/ },
+  { name: 'Unrated', pattern: /\bunrated\b/ },
+  { name: 'Uncut', pattern: /\buncut\b/ },
+  { name: 'Theatrical', pattern: /\btheatrical\b/ },
+  { name: 'Remastered', pattern: /\bremastered\b/ },
+  { name: 'IMAX', pattern: /\bimax\b/ },
+  { name: 'Criterion', pattern: /\bcriterion\b/ }
+];
+
+const SERVICES = [
+  { name: 'AMZN', pattern: /\bamzn\b/ },
+  { name: 'NF', pattern: /\bnf\b/ },
+  { name: 'DSNP', pattern: /\bdsnp\b/ },
+  { name: 'HMAX', pattern: /\bhmax\b/ },
+  { name: 'ATVP', pattern: /\batvp\b/ },
+  { name: 'HULU', pattern: /\bhulu\b/ }
+];
+
+// Trailing "-XYZ" tokens that are part of a tag, not a release group
+const NOT_GROUPS = new Set(['dl', 'rip', 'ray', 'hd', 'sd', 'cut']);
+
+function findTag(tags, text) {
+  return tags.find(tag => tag.pattern.test(text)) || null;
+}
+
+/**
+ * Parse a release or file name into its tags
+ * @param {string} name - File name or subtitle title
+ * @returns {{group: string|null, source: string|null, sourceFamily: string|null,
+ *   resolution: string|null, codec: string|null, editions: Array<string>, service: string|null}}
+ */
+function parseRelease(name) {
+  const raw = String(name || '')
+    .replace(/\.(?:mkv|mp4|avi|m4v|mov|wmv|ts|srt|sub|txt|zip|rar)$/i, '')
+    .trim();
+
+  let group = null;
+  const bracketGroup = raw.match(/^\[([^\]]+)\]/);
+  const suffixGroup = raw.match(/-([A-Za-z0-9]+)(?:\[[^\]]*\])?$/);
+  if (suffixGroup && !NOT_GROUPS.has(suffixGroup[1].toLowerCase())) {
+    group = suffixGroup[1];
+  } else if (bracketGroup) {
+    group = bracketGroup[1].trim();
+  }
+
+  // Keep "-" so WEB-DL and Blu-Ray still match; "." and "_" are word separators
+  const text = raw.toLowerCase().replace(/[._]+/g, ' ');
+
+  const source = findTag(SOURCES, text);
+  const resolution = findTag(RESOLUTIONS, text);
+  const codec = findTag(CODECS, text);
+  const service = findTag(SERVICES, text);
+  const editions = EDITIONS.filter(edition => edition.pattern.test(text)).map(edition => edition.name);
+
+  return {
+    group,
+    source: source ? source.name : null,
+    sourceFamily: source ? source.family : null,
+    resolution: resolution ? resolution.name : null,
+    codec: codec ? codec.name : null,
+    editions,
+    service: service ? service.name : null
+  };
+}
+
+/**
+ * Score how well a candidate release matches the playing release
+ * Higher is better; 0 means nothing in common (or nothing to compare).
+ * @param {object} target - parseRelease() of the playing file
+ * @param {object} candidate - parseRelease() of a subtitle title
+ * @returns {number} Score
+ */
+function scoreRelease(target, candidate) {
+  let score = 0;
+
+  if (target.group && candidate.group && target.group.toLowerCase() === candidate.group.toLowerCase()) {
+    score += 40;
+  }
+
+  if (target.source && candidate.source) {
+    if (target.source === candidate.source) {
+      score += 20;
+    } else if (target.sourceFamily === candidate.sourceFamily) {
+      score += 10;
+    } else {
+      score -= 15;
+    }
+  }
+
+  if (target.resolution && candidate.resolution) {
+    score += target.resolution === candidate.resolution ? 8 : -4;
+  }
+
+  if (target.codec && candidate.codec && target.codec === candidate.codec) {
+    score += 5;
+  }
+
+  if (target.service && candidate.service && target.service === candidate.service) {
+    score += 5;
+  }
+
+  const sharedEditions = target.editions.filter(edition => candidate.editions.includes(edition));
+  score += sharedEditions.length * 10;
+  if (target.editions.length !== candidate.editions.length && sharedEditions.length === 0) {
+    score -= 5;
+  }
+
+  return score;
+}
+
+/**
+ * Order results so the best match for the playing file comes first
+ * Ties keep their original (provider) order.
+ * @param {Array} results - Search results with a title
+ * @param {string} filename - File name from Stremio's extra args
+ * @returns {Array} Ranked copy of the results
+ */
+function rankByRelease(results, filename) {
+  if (!filename) {
+    return [...results];
+  }
+
+  const target = parseRelease(filename);
+  return results
+    .map((result, index) => ({ result, index, score: scoreRelease(target, parseRelease(result.title)) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(item => item.result);
+}
+
+/**
+ * Guess the frame rate of a release from its name
+ * Only an explicit "25fps", PAL (25) or NTSC (23.976) counts; sources like
+ * Blu-ray or WEB come in both rates, so they are too ambiguous to guess.
+ * @param {string} name - File or release name
+ * @returns {number|null} Frame rate, or null if unknown
+ */
+function fpsFromRelease(name) {
+  const text = String(name || '').toLowerCase();
+
+  const explicit = text.match(/(?:^|\D)(\d{2}(?:[.,]\d{1,3})?)\s?fps\b/);
+  if (explicit) {
+    return parseFloat(explicit[1].replace(',', '.'));
+  }
+
+  const words = text.replace(/[._]+/g, ' ');
+  if (/\bpal\b/.test(words)) {
+    return 25;
+  }
+  if (/\bntsc\b/.test(words)) {
+    return 23.976;
+  }
+  return null;
+}
+
+module.exports = {
+  parseRelease,
+  scoreRelease,
+  rankByRelease,
+  fpsFromRelease
+};
@@ -0,0 +1,233 @@
+/**
+ * Shaping aggregated search results into the list Stremio shows
+ */
+
+const { rankByRelease, fpsFromRelease } = require('./release');
+const { detectArchiveType, extractArchive, listSubtitleEntries } = require('./archive');
+const { filterEpisodeFiles } = require('./episode');
+const { parseFps, sameFps } = require('./timing');
+const { isSdh } = require('./sdh');
+
+// Most entries handed to Stremio's subtitle picker, variants included
+const MAX_SUBTITLE_ENTRIES = 60;
+
+/**
+ * Keep at most `max` results from each provider, preserving order
+ * @param {Array} results - Aggregated search results
+ * @param {number} max - Per-provider cap
+ * @returns {Array} Trimmed results
+ */
+function limitPerProvider(results, max) {
+  const counts = {};
+  return results.filter((result) => {
+    counts[result.provider] = (counts[result.provider] || 0) + 1;
+    return counts[result.provider] <= max;
+  });
+}
+
+function toNumber(value) {
+  const parsed = parseInt(String(value || '').replace(/\D/g, ''), 10);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Sort results according to the configured order
+ * 'default' ranks by release match when the playing file name is known,
+ * otherwise it keeps provider order.
+ * @param {Array} results - Search results
+ * @param {string} order - 'default' | 'downloads' | 'title'
+ * @param {string|null} filename - Playing file name (args.extra.filename)
+ * @returns {Array} Sorted copy of the results
+ */
+function sortResults(results, order, filename = null) {
+  if (order === 'default') {
+    return rankByRelease(results, filename);
+  }
+
+  const sorted = [...results];
+
+  if (order === 'downloads') {
+    sorted.sort((a, b) => toNumber(b.downloads) - toNumber(a.downloads));
+  } else if (order === 'title') {
+    sorted.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  return sorted;
+}
+
+function formatVariantTag(result) {
+  let tag = '';
+  if (result.retime) {
+    tag += ` [retimed ${result.retime.from}→${result.retime.to}fps]`;
+  }
+  if (result.offset) {
+    tag += ` [${result.offset > 0 ? '+' : ''}${result.offset / 1000}s]`;
+  }
+  if (result.transliterate) {
+    tag += ' [Latin]';
+  }
+  return tag;
+}
+
+/**
+ * Build the subtitle label shown in the Stremio picker
+ * @param {object} result - Search result
+ * @param {string} style - 'full' | 'compact' | 'title'
+ * @returns {string} Label
+ */
+function formatLabel(result, style = 'full') {
+  // Retimed and shifted variants would be indistinguishable without their tag
+  const variantTag = formatVariantTag(result);
+
+  if (style === 'title') {
+    return result.title + (result.sdh ? ' [SDH]' : '') + variantTag;
+  }
+
+  let label = `[${result.providerName}] ${result.title}`;
+  if (result.seasonPack) {
+    label += ' [season pack]';
+  }
+  if (result.sdh) {
+    label += ' [SDH]';
+  }
+  label += variantTag;
+  if (style === 'compact') {
+    return label;
+  }
+
+  if (result.fps) {
+    label += ` [${result.fps}fps]`;
+  }
+  if (result.uploader) {
+    label += ` - ${result.uploader}`;
+  }
+  return label;
+}
+
+/**
+ * Replace archive results with one result per subtitle file inside them
+ * Expanded results get `entryIndex` and use the inner file name as title.
+ * Results that fail to download, aren't archives or hold a single
+ * subtitle are kept as they are. With a target episode, season packs
+ * only contribute the files for that episode.
+ * @param {Array} results - Search results
+ * @param {function(string, string): Promise<Buffer>} download - (provider, id) => file contents
+ * @param {{season: number, episode: number}|null} [target] - Requested episode
+ * @returns {Promise<Array>} Expanded results, in the original order
+ */
+async function expandArchiveResults(results, download, target = null) {
+  const expanded = await Promise.all(results.map(async (result) => {
+    try {
+      const buffer = await download(result.provider, result.id);
+      if (!detectArchiveType(buffer)) {
+        return [result];
+      }
+
+      const entries = listSubtitleEntries(await extractArchive(buffer));
+      if (entries.length <= 1) {
+        return [result];
+      }
+
+      const episodeEntries = target ? filterEpisodeFiles(entries, target.season, target.episode) : [];
+      const shownEntries = episodeEntries.length > 0 ? episodeEntries : entries;
+
+      // entryIndex always refers to the full entry list the proxy sees
+      return shownEntries.map(entry => ({
+        ...result,
+        title: entry.name.split('/').pop(),
+        archiveTitle: result.title,
+        entryIndex: entries.indexOf(entry)
+      }));
+    } catch (error) {
+      console.error(`[Results] Could not open ${result.provider}/${result.id}:`, error.message);
+      return [result];
+    }
+  }));
+
+  return expanded.flat();
+}
+
+/**
+ * Flag results whose subtitle is full of SDH annotations with `sdh: true`
+ * Results that fail to load are left unflagged.
+ * @param {Array} results - Search results
+ * @param {function(object): Promise<Array>} loadCues - result => its cues
+ * @returns {Promise<Array>} Results, in the original order
+ */
+async function markSdhResults(results, loadCues) {
+  return Promise.all(results.map(async (result) => {
+    try {
+      return isSdh(await loadCues(result)) ? { ...result, sdh: true } : result;
+    } catch (error) {
+      console.error(`[Results] Could not check ${result.provider}/${result.id} for SDH:`, error.message);
+      return result;
+    }
+  }));
+}
+
+/**
+ * Follow each result with its variants: a retimed copy when its frame rate
+ * differs from the playing file's (`retime: { from, to }`), copies shifted by
+ * the configured offsets (`offset`, ms) and a Latin copy (`transliterate: true`)
+ * Variants are built from the base result only, so they never stack, and the
+ * list is cut at `limit` entries, base results first.
+ * @param {Array} results - Search results
+ * @param {object} [options]
+ * @param {string|null} [options.filename] - Playing file name (args.extra.filename)
+ * @param {Array<number>} [options.offsets] - Offsets in ms (config.offsetVariants)
+ * @param {boolean} [options.latin] - Add Latin copies (config.latinVariants)
+ * @param {number} [options.limit] - Most entries returned
+ * @returns {Array} Results with their variants inserted
+ */
+function addVariants(results, { filename = null, offsets = [], latin = false, limit = MAX_SUBTITLE_ENTRIES } = {}) {
+  const targetFps = fpsFromRelease(filename);
+  let budget = Math.max(0, limit - results.length);
+
+  return results.flatMap((result) => {
+    const variants = [];
+    const fps = parseFps(result.fps);
+    if (targetFps && fps && !sameFps(fps, targetFps)) {
+      variants.push({ ...result, retime: { from: fps, to: targetFps } });
+    }
+    (offsets || []).forEach(offset => variants.push({ ...result, offset }));
+    if (latin) {
+      variants.push({ ...result, transliterate: true });
+    }
+
+    const kept = variants.slice(0, budget);
+    budget -= kept.length;
+    return [result, ...kept];
+  }).slice(0, limit);
+}
+
+/**
+ * Build the proxy URL Stremio downloads a subtitle from
+ * @param {string} baseUrl - Public base URL of the addon
+ * @param {object} result - Search result (optionally with entryIndex)
+ * @param {object} [params] - Query parameters; null/undefined values are skipped, arrays repeat the key
+ * @returns {string} URL like /subtitle/:provider/:id[/:entry].srt[?query]
+ */
+function buildSubtitleUrl(baseUrl, result, params = {}) {
+  const entryPath = result.entryIndex === undefined ? '' : `/${result.entryIndex}`;
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => query.append(key, String(item)));
+    } else if (value !== null && value !== undefined) {
+      query.set(key, String(value));
+    }
+  }
+  const queryString = query.toString();
+  return `${baseUrl}/subtitle/${result.provider}/${result.id}${entryPath}.srt${queryString ? `?${queryString}` : ''}`;
+}
+
+module.exports = {
+  limitPerProvider,
+  sortResults,
+  formatLabel,
+  expandArchiveResults,
+  markSdhResults,
+  addVariants,
+  MAX_SUBTITLE_ENTRIES,
+  buildSubtitleUrl
+};
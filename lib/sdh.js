@@ -0,0 +1,84 @@
+/**
+ * Subtitles for the deaf and hard of hearing (SDH)
+ *
+ * Translations of SDH sources keep sound descriptions ("[музика]",
+ * "(смее се)") and speaker labels ("ЧОВЕК: ..."). They can be stripped,
+ * and subtitles full of them can be pointed out in the results.
+ */
+
+// Sound descriptions, possibly spanning two lines
+const ANNOTATION_PATTERN = /\[[^\]]{0,200}\]|\([^)]{0,200}\)/g;
+// Upper-case speaker label at the start of a line, after any tags or dialogue dash
+const SPEAKER_PATTERN = /^((?:\s*<[^>]+>)*\s*(?:-\s*)?(?:<[^>]+>)*)[A-ZА-ЯЁ][A-ZА-ЯЁ0-9 .'#-]*[A-ZА-ЯЁ0-9]:(?!\d)\s*/gm;
+// Share of annotated cues from which a subtitle counts as SDH; regular ones have next to none
+const SDH_RATIO = 0.1;
+
+/**
+ * Whether a cue text has sound descriptions or speaker labels
+ * @param {string} text - Cue text
+ * @returns {boolean} True for SDH text
+ */
+function hasSdh(text) {
+  return new RegExp(ANNOTATION_PATTERN.source).test(text) || new RegExp(SPEAKER_PATTERN.source, 'm').test(text);
+}
+
+function removeEmptyTags(text) {
+  let previous;
+  let current = text;
+  do {
+    previous = current;
+    current = current.replace(/<(i|b|u|font)(?:\s[^>]*)?>\s*<\/\1>/gi, '');
+  } while (current !== previous);
+  return current;
+}
+
+/**
+ * Remove sound descriptions and speaker labels from a cue text
+ * Styling tags are kept; a lone dialogue dash left behind is dropped.
+ * @param {string} text - Cue text
+ * @returns {string} Text without SDH annotations (may be empty)
+ */
+function stripSdhText(text) {
+  const stripped = removeEmptyTags(text.replace(ANNOTATION_PATTERN, '').replace(SPEAKER_PATTERN, '$1'));
+
+  const lines = stripped.split('\n')
+    .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+    .filter(line => !/^-?$/.test(line.replace(/<[^>]*>/g, '').trim()));
+
+  // "- [смях]\n- Здравей" leaves a single line that is no longer a dialogue
+  if (lines.length === 1 && text.split('\n').length > 1) {
+    lines[0] = lines[0].replace(/^((?:<[^>]+>)*)-\s*/, '$1');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Strip SDH annotations from every cue, dropping cues left without text
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @returns {Array<{start: number, end: number, text: string}>} Cues without SDH
+ */
+function stripSdhCues(cues) {
+  return cues
+    .map(cue => ({ ...cue, text: stripSdhText(cue.text) }))
+    .filter(cue => cue.text.replace(/<[^>]*>/g, '').trim() !== '');
+}
+
+/**
+ * Whether enough cues carry SDH annotations to call the subtitle SDH
+ * @param {Array<{text: string}>} cues - Cues
+ * @returns {boolean} True for SDH subtitles
+ */
+function isSdh(cues) {
+  if (cues.length === 0) {
+    return false;
+  }
+  return cues.filter(cue => hasSdh(cue.text)).length / cues.length >= SDH_RATIO;
+}
+
+module.exports = {
+  hasSdh,
+  stripSdhText,
+  stripSdhCues,
+  isSdh
+};
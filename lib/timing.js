@@ -0,0 +1,138 @@
+/**
+ * Cue timing adjustments applied by the subtitle proxy
+ *
+ * Works on the common cue model from ./formats ({ start, end, text }, ms).
+ */
+
+const { alignCues } = require('./align');
+
+// Frame rates closer than this are the same rate written differently (23.976 / 23.98)
+const FPS_TOLERANCE = 0.01;
+
+/**
+ * Parse a frame rate as written by providers or in query parameters
+ * @param {string|number} value - e.g. "23.976", "23,976", "25.000"
+ * @returns {number|null} Frame rate, or null if not a positive number
+ */
+function parseFps(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim().replace(',', '.');
+  if (!/^\d+(?:\.\d+)?$/.test(text)) {
+    return null;
+  }
+  const fps = parseFloat(text);
+  return fps > 0 ? fps : null;
+}
+
+/**
+ * Whether two frame rates are effectively the same
+ * @param {number} a - Frame rate
+ * @param {number} b - Frame rate
+ * @returns {boolean} True if they differ by less than FPS_TOLERANCE
+ */
+function sameFps(a, b) {
+  return Math.abs(a - b) < FPS_TOLERANCE;
+}
+
+/**
+ * Rescale cue times from one frame rate to another
+ * A subtitle timed for 23.976 fps runs late by 4% against a 25 fps release.
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {number} fromFps - Frame rate the subtitle was timed for
+ * @param {number} toFps - Frame rate of the video
+ * @returns {Array<{start: number, end: number, text: string}>} Retimed cues
+ */
+function retimeCues(cues, fromFps, toFps) {
+  const factor = fromFps / toFps;
+  return cues.map(cue => ({
+    ...cue,
+    start: Math.round(cue.start * factor),
+    end: Math.round(cue.end * factor)
+  }));
+}
+
+/**
+ * Shift every cue by a constant offset
+ * Cues pushed entirely before 0 are dropped; partly negative ones start at 0.
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {number} offset - Milliseconds to add (negative = earlier)
+ * @returns {Array<{start: number, end: number, text: string}>} Shifted cues
+ */
+function shiftCues(cues, offset) {
+  return cues
+    .map(cue => ({ ...cue, start: Math.max(0, cue.start + offset), end: cue.end + offset }))
+    .filter(cue => cue.end > 0);
+}
+
+/**
+ * Parse a two-point sync parameter
+ * "t1:t1new,t2:t2new" in milliseconds, e.g. "60000:62500,3600000:3610000"
+ * @param {string} value - Raw value
+ * @returns {Array<[number, number]>|null} Two [old, new] pairs, or null if invalid
+ */
+function parseSyncParam(value) {
+  const match = String(value || '').trim().match(/^(\d+):(\d+),(\d+):(\d+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [t1, t1new, t2, t2new] = match.slice(1).map(Number);
+  if (t1 === t2) {
+    return null;
+  }
+  return [[t1, t1new], [t2, t2new]];
+}
+
+/**
+ * Map cue times linearly so that t1 lands on t1new and t2 on t2new
+ * Fixes both a constant delay and a steady drift in one go.
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {Array<[number, number]>} points - Two [old, new] pairs from parseSyncParam()
+ * @returns {Array<{start: number, end: number, text: string}>} Resynced cues
+ */
+function syncCues(cues, [[t1, t1new], [t2, t2new]]) {
+  const scale = (t2new - t1new) / (t2 - t1);
+  const map = time => Math.round(t1new + (time - t1) * scale);
+  return cues
+    .map(cue => ({ ...cue, start: Math.max(0, map(cue.start)), end: map(cue.end) }))
+    .filter(cue => cue.end > 0);
+}
+
+/**
+ * Apply the timing options of a proxy request
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @param {object} [options]
+ * @param {{from: number, to: number}|null} [options.retime] - Frame-rate conversion
+ * @param {Array<[number, number]>|null} [options.sync] - Two-point resync
+ * @param {Array<{start: number, end: number, text: string}>|null} [options.align] - Reference cues to align to
+ * @param {number} [options.offset] - Constant shift in ms, applied last
+ * @returns {Array<{start: number, end: number, text: string}>} Adjusted cues
+ */
+function applyTiming(cues, { retime = null, sync = null, align = null, offset = 0 } = {}) {
+  let result = cues;
+  if (retime) {
+    result = retimeCues(result, retime.from, retime.to);
+  }
+  if (sync) {
+    result = syncCues(result, sync);
+  }
+  if (align) {
+    result = alignCues(result, align).cues;
+  }
+  if (offset) {
+    result = shiftCues(result, offset);
+  }
+  return result;
+}
+
+module.exports = {
+  parseFps,
+  sameFps,
+  retimeCues,
+  shiftCues,
+  parseSyncParam,
+  syncCues,
+  applyTiming
+};
@@ -0,0 +1,68 @@
+/**
+ * Cyrillic to Latin transliteration
+ *
+ * Uses the official Bulgarian streamlined system (Transliteration Act,
+ * 2009), for players whose fonts have no Cyrillic.
+ */
+
+const LETTERS = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh', 'з': 'z',
+  'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p',
+  'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'h', 'ц': 'ts', 'ч': 'ch',
+  'ш': 'sh', 'щ': 'sht', 'ъ': 'a', 'ь': 'y', 'ю': 'yu', 'я': 'ya',
+  // Not Bulgarian, but found in quotes and names
+  'ё': 'yo', 'ы': 'y', 'э': 'e'
+};
+
+const CYRILLIC_LETTER = /[а-яёА-ЯЁ]/;
+
+function isUpper(char) {
+  return char !== undefined && CYRILLIC_LETTER.test(char) && char === char.toUpperCase();
+}
+
+/**
+ * Transliterate text into Latin letters
+ * "ия" at the end of a word becomes "ia" (България -> Bulgaria). A
+ * capital that becomes two or three letters is capitalised as a word
+ * ("Жива" -> "Zhiva") unless the text around it is upper case ("ЖИВА" -> "ZHIVA").
+ * Anything that isn't Cyrillic, including markup, is kept.
+ * @param {string} text - Text
+ * @returns {string} Latin text
+ */
+function transliterate(text) {
+  const chars = [...text];
+
+  return chars.map((char, index) => {
+    const lower = char.toLowerCase();
+    if (!(lower in LETTERS)) {
+      return char;
+    }
+
+    let latin = LETTERS[lower];
+    if (lower === 'я' && chars[index - 1] && chars[index - 1].toLowerCase() === 'и' && !CYRILLIC_LETTER.test(chars[index + 1] || '')) {
+      latin = 'a';
+    }
+
+    if (char === lower) {
+      return latin;
+    }
+    if (latin.length > 1 && (isUpper(chars[index + 1]) || (isUpper(chars[index - 1]) && !CYRILLIC_LETTER.test(chars[index + 1] || '')))) {
+      return latin.toUpperCase();
+    }
+    return latin.charAt(0).toUpperCase() + latin.slice(1);
+  }).join('');
+}
+
+/**
+ * Transliterate the text of every cue
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues
+ * @returns {Array<{start: number, end: number, text: string}>} Latin cues
+ */
+function transliterateCues(cues) {
+  return cues.map(cue => ({ ...cue, text: transliterate(cue.text) }));
+}
+
+module.exports = {
+  transliterate,
+  transliterateCues
+};
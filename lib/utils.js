@@ -59,18 +59,46 @@ function parseStremioId(id) {
 
 /**
  * Simple in-memory cache with TTL
+ * Expired entries are swept on every set(); with maxEntries or maxBytes the
+ * oldest entries are evicted too, so long-running servers don't keep growing.
  */
 class Cache {
-  constructor(ttl = 3600000) { // Default: 1 hour
+  /**
+   * @param {number} [ttl] - Time to live in ms
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - Most entries kept
+   * @param {number} [options.maxBytes] - Most bytes kept, as measured by sizeOf
+   * @param {function(*): number} [options.sizeOf] - Size of a value (default: Buffer length)
+   */
+  constructor(ttl = 3600000, { maxEntries = Infinity, maxBytes = Infinity, sizeOf = value => (Buffer.isBuffer(value) ? value.length : 0) } = {}) { // Default: 1 hour
     this.cache = new Map();
     this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+    this.bytes = 0;
   }
 
   set(key, value) {
+    const size = this.sizeOf(value);
+    this.delete(key);
+    this.sweep();
+    // Too big to cache without evicting everything else
+    if (size > this.maxBytes) {
+      return;
+    }
+
     this.cache.set(key, {
       value,
+      size,
       expires: Date.now() + this.ttl
     });
+    this.bytes += size;
+
+    // Map iterates in insertion order, so the first key is the oldest
+    while (this.cache.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.cache.keys().next().value);
+    }
   }
 
   get(key) {
@@ -78,7 +106,7 @@ class Cache {
     if (!item) return null;
 
     if (Date.now() > item.expires) {
-      this.cache.delete(key);
+      this.delete(key);
       return null;
     }
 
@@ -88,6 +116,24 @@ class Cache {
   has(key) {
     return this.get(key) !== null;
   }
+
+  delete(key) {
+    const item = this.cache.get(key);
+    if (item) {
+      this.bytes -= item.size;
+      this.cache.delete(key);
+    }
+  }
+
+  // Drop every expired entry
+  sweep() {
+    const now = Date.now();
+    for (const [key, item] of this.cache) {
+      if (now > item.expires) {
+        this.delete(key);
+      }
+    }
+  }
 }
 
 module.exports = {
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const httpClient = require('../lib/http-client');
+const iconv = require('iconv-lite');
+
+const { createAddon, manifest } = require('../lib/addon');
+const subsab = require('../lib/providers/subsab');
+const subsunacs = require('../lib/providers/subsunacs');
+
+const SRT = '1\r\n00:00:01,000 --> 00:00:02,000\r\nЗдравей!\r\n';
+
+async function withServer(app, run) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// fetch() won't send a custom Host header
+function getJson(url, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(JSON.parse(body)));
+    }).on('error', reject);
+  });
+}
+
+test('createAddon serves the manifest and health check', async () => {
+  await withServer(createAddon(), async (base) => {
+    const manifestResponse = await fetch(`${base}/manifest.json`);
+    const served = await manifestResponse.json();
+    assert.equal(served.id, manifest.id);
+    assert.equal(served.description, 'Bulgarian subtitles from multiple providers (Subsunacs, SubsSab)');
+
+    const health = await (await fetch(`${base}/health`)).json();
+    assert.equal(health.status, 'ok');
+    assert.deepEqual(health.providers, ['subsunacs', 'subsab']);
+  });
+});
+
+test('createAddon validates subtitle proxy requests', async () => {
+  await withServer(createAddon(), async (base) => {
+    for (const [path, message] of [
+      ['/subtitle/yavka/1.srt', 'Invalid provider'],
+      ['/subtitle/subsab/abc.srt', 'Invalid subtitle ID'],
+      ['/subtitle/subsab/1.srt?fps=fast', 'Invalid fps'],
+      ['/subtitle/subsab/1.srt?alignTo=nope/2', 'Invalid alignTo'],
+      ['/subtitle/subsab/1.srt?cleanup=1&ad=x&ad=%20', 'Invalid ad']
+    ]) {
+      const response = await fetch(base + path);
+      assert.equal(response.status, 400, path);
+      assert.equal(await response.text(), message);
+    }
+  });
+});
+
+test('createAddon proxies, decodes and converts a subtitle', async (t) => {
+  const download = t.mock.method(subsab, 'download', async () => iconv.encode(SRT, 'windows-1251'));
+
+  await withServer(createAddon(), async (base) => {
+    const response = await fetch(`${base}/subtitle/subsab/7.vtt?offset=500&translit=1`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-subtitle-charset'), 'windows-1251');
+    assert.equal(await response.text(), 'WEBVTT\n\n00:00:01.500 --> 00:00:02.500\nZdravey!\n');
+
+    // The second request is served from the download cache
+    await fetch(`${base}/subtitle/subsab/7.json`);
+    assert.equal(download.mock.callCount(), 1);
+
+    // Repeated advert patterns are harmless
+    const cleaned = await fetch(`${base}/subtitle/subsab/7.srt?cleanup=1&ad=telegram&ad=telegram`);
+    assert.equal(cleaned.status, 200);
+  });
+});
+
+test('createAddon answers 404 when the alignTo reference is missing', async (t) => {
+  t.mock.method(subsab, 'download', async (id) => {
+    if (id === '404') {
+      throw Object.assign(new Error('Request failed with status 404'), { status: 404 });
+    }
+    return Buffer.from(SRT);
+  });
+
+  await withServer(createAddon(), async (base) => {
+    const response = await fetch(`${base}/subtitle/subsab/9.srt?alignTo=subsab/404`);
+    assert.equal(response.status, 404);
+    assert.equal(await response.text(), 'Reference subtitle not found');
+  });
+});
+
+test('createAddon does not cache truncated downloads', async (t) => {
+  const download = t.mock.method(subsab, 'download', async () => {
+    const buffer = Buffer.from(SRT);
+    buffer.partial = true;
+    return buffer;
+  });
+
+  await withServer(createAddon(), async (base) => {
+    assert.equal((await fetch(`${base}/subtitle/subsab/8.srt`)).status, 200);
+    assert.equal((await fetch(`${base}/subtitle/subsab/8.srt`)).status, 200);
+    assert.equal(download.mock.callCount(), 2);
+  });
+});
+
+test('createAddon uses the fixed public URL on the configure page', async () => {
+  await withServer(createAddon({ publicUrl: 'https://addon.test' }), async (base) => {
+    const html = await (await fetch(`${base}/configure`)).text();
+    assert.match(html, /var baseUrl = "https:\/\/addon.test"/);
+  });
+});
+
+test('createAddon keeps the base URL of concurrent requests apart', async (t) => {
+  t.mock.method(httpClient, 'get', async () => ({ data: { meta: { name: 'Concurrency', year: '2020' } } }));
+  t.mock.method(subsunacs, 'search', async () => []);
+  // The first search only finishes once the second request has started
+  let releaseFirst;
+  const firstStarted = new Promise(resolve => { releaseFirst = resolve; });
+  t.mock.method(subsab, 'search', async () => {
+    if (subsab.search.mock.callCount() === 1) {
+      await firstStarted;
+    } else {
+      releaseFirst();
+    }
+    return [{ provider: 'subsab', providerName: 'SubsSab', id: '5', title: 'Concurrency', fps: null, uploader: null, downloads: null }];
+  });
+
+  await withServer(createAddon({ allowedHosts: 'one.test, two.test' }), async (base) => {
+    const url = `${base}/subtitles/movie/tt7654321.json`;
+    const [first, second, spoofed] = await Promise.all([
+      getJson(url, { host: 'one.test' }),
+      getJson(url, { host: 'two.test' }),
+      getJson(url, { host: 'attacker.test' })
+    ]);
+
+    assert.equal(first.subtitles[0].url, 'https://one.test/subtitle/subsab/5.srt');
+    assert.equal(second.subtitles[0].url, 'https://two.test/subtitle/subsab/5.srt');
+    assert.ok(!spoofed.subtitles[0].url.includes('attacker.test'));
+  });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { alignCues } = require('../lib/align');
+
+// Deterministic pseudo-random cue timeline (~1 cue every 2-6 s)
+function makeReference(count, seed = 42) {
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const cues = [];
+  let time = 5000;
+  for (let i = 0; i < count; i++) {
+    const duration = 1200 + Math.round(random() * 2500);
+    cues.push({ start: time, end: time + duration, text: `Ред ${i}` });
+    time += duration + 300 + Math.round(random() * 2500);
+  }
+  return cues;
+}
+
+function errors(aligned, reference) {
+  return aligned.map((cue, index) => Math.abs(cue.start - reference[index].start));
+}
+
+test('alignCues recovers a constant delay and a frame-rate conversion', () => {
+  const reference = makeReference(600);
+  // Timed for 25 fps while the reference is 23.976, and 2.5 s late
+  const source = reference.map(cue => ({
+    ...cue,
+    start: Math.round(cue.start * 23.976 / 25) + 2500,
+    end: Math.round(cue.end * 23.976 / 25) + 2500
+  }));
+
+  const result = alignCues(source, reference);
+
+  assert.equal(result.aligned, true);
+  assert.equal(result.scale, +(25 / 23.976).toFixed(6));
+  assert.ok(Math.max(...errors(result.cues, reference)) <= 50);
+});
+
+test('alignCues corrects a cut in the middle piecewise', () => {
+  const reference = makeReference(600);
+  // The source release has a 40 s scene the reference lacks, after cue 300
+  const source = reference.map((cue, index) => {
+    const shift = index >= 300 ? 40000 : 0;
+    return { ...cue, start: cue.start + 1000 + shift, end: cue.end + 1000 + shift };
+  });
+
+  const result = alignCues(source, reference);
+  const offBy = errors(result.cues, reference);
+
+  assert.equal(result.aligned, true);
+  assert.ok(offBy.filter(error => error > 50).length <= 6, 'only cues next to the cut may be off');
+});
+
+test('alignCues leaves unrelated subtitles alone', () => {
+  const reference = makeReference(300);
+  const unrelated = makeReference(300, 7);
+
+  const result = alignCues(unrelated, reference);
+
+  assert.equal(result.aligned, false);
+  assert.equal(result.cues, unrelated);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+const { detectArchiveType, listArchiveFiles, extractArchive, pickSubtitleFile, listSubtitleEntries } = require('../lib/archive');
+const { createRar4, createRar5, createTar, create7z } = require('./helpers/archives');
+
+const SRT = '1\n00:00:01,000 --> 00:00:02,500\nЗдравей, свят\n';
+
+function createZip(files) {
+  const zip = new AdmZip();
+  for (const file of files) {
+    zip.addFile(file.name, Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8'));
+  }
+  return zip.toBuffer();
+}
+
+test('detectArchiveType recognises ZIP and both RAR versions', () => {
+  assert.equal(detectArchiveType(createZip([{ name: 'a.srt', data: SRT }])), 'zip');
+  assert.equal(detectArchiveType(createRar4([{ name: 'a.srt', data: SRT }])), 'rar');
+  assert.equal(detectArchiveType(createRar5([{ name: 'a.srt', data: SRT }])), 'rar');
+  assert.equal(detectArchiveType(Buffer.from(SRT)), null);
+});
+
+test('detectArchiveType recognises 7z, gzip and tar', async () => {
+  assert.equal(detectArchiveType(await create7z([{ name: 'a.srt', data: SRT }])), '7z');
+  assert.equal(detectArchiveType(zlib.gzipSync(SRT)), 'gzip');
+  assert.equal(detectArchiveType(createTar([{ name: 'a.srt', data: SRT }])), 'tar');
+});
+
+for (const [label, create] of [['RAR4', createRar4], ['RAR5', createRar5], ['ZIP', createZip], ['7z', create7z], ['tar', createTar]]) {
+  test(`listArchiveFiles extracts ${label} archives`, async () => {
+    const files = await listArchiveFiles(await create([
+      { name: 'readme.txt', data: 'hello' },
+      { name: 'Movie.srt', data: SRT }
+    ]));
+
+    assert.deepEqual(files.map(file => file.name).sort(), ['Movie.srt', 'readme.txt']);
+    assert.equal(files.find(file => file.name === 'Movie.srt').data.toString('utf8'), SRT);
+  });
+}
+
+test('listArchiveFiles extracts gzip and keeps the original file name', async () => {
+  // Node's gzip doesn't store a name, so patch one in the way gzip(1) does
+  const body = zlib.gzipSync(SRT);
+  const named = Buffer.concat([body.subarray(0, 10), Buffer.from('movie.srt\0', 'latin1'), body.subarray(10)]);
+  named[3] |= 0x08;
+
+  const files = await listArchiveFiles(named);
+  assert.equal(files.length, 1);
+  assert.equal(files[0].name, 'movie.srt');
+  assert.equal(files[0].data.toString('utf8'), SRT);
+});
+
+test('extractArchive descends into nested archives', async () => {
+  const buffer = createZip([
+    { name: 'CD1.rar', data: createRar5([{ name: 'movie.cd1.srt', data: SRT }]) },
+    { name: 'CD2.tar.gz', data: zlib.gzipSync(createTar([{ name: 'movie.cd2.srt', data: SRT }])) },
+    { name: 'info.nfo', data: 'release notes' }
+  ]);
+
+  const files = await extractArchive(buffer);
+  assert.deepEqual(files.map(file => file.name).sort(), [
+    'CD1.rar/movie.cd1.srt',
+    'CD2.tar.gz/movie.cd2.srt',
+    'info.nfo'
+  ]);
+});
+
+test('extractArchive names an unnamed gzip member after the archive', async () => {
+  const files = await extractArchive(createZip([{ name: 'movie.srt.gz', data: zlib.gzipSync(SRT) }]));
+  assert.deepEqual(files.map(file => file.name), ['movie.srt.gz']);
+});
+
+test('extractArchive stops at the depth limit', async () => {
+  const inner = createZip([{ name: 'movie.srt', data: SRT }]);
+  const buffer = createZip([{ name: 'inner.zip', data: inner }]);
+
+  const shallow = await extractArchive(buffer, { maxDepth: 1 });
+  assert.deepEqual(shallow.map(file => file.name), ['inner.zip']);
+
+  const deep = await extractArchive(buffer, { maxDepth: 2 });
+  assert.deepEqual(deep.map(file => file.name), ['inner.zip/movie.srt']);
+});
+
+test('listArchiveFiles rejects archives over the size limit before extracting', async () => {
+  const big = Buffer.alloc(4096, 'a');
+  for (const [label, create] of [
+    ['ZIP', async files => createZip(files)],
+    ['RAR', async files => createRar4(files)],
+    ['7z', create7z],
+    ['tar', async files => createTar(files)]
+  ]) {
+    const archive = await create([{ name: 'a.srt', data: big }, { name: 'b.srt', data: big }]);
+    await assert.rejects(listArchiveFiles(archive, { remaining: 6000 }), /extraction size limit/, label);
+    assert.equal((await listArchiveFiles(archive, { remaining: 10000 })).length, 2, label);
+  }
+
+  // gzip has no trustworthy declared size, so inflation itself is capped
+  const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024));
+  await assert.rejects(listArchiveFiles(bomb, { remaining: 1000 }), /extraction size limit/);
+
+  // Nor does a ZIP entry that claims to be empty
+  const zipBomb = createZip([{ name: 'a.srt', data: Buffer.alloc(1024 * 1024) }]);
+  for (const [signature, offset] of [[0x04034b50, 22], [0x02014b50, 24]]) {
+    for (let i = 0; i < zipBomb.length - 4; i++) {
+      if (zipBomb.readUInt32LE(i) === signature) {
+        zipBomb.writeUInt32LE(0, i + offset);
+      }
+    }
+  }
+  await assert.rejects(listArchiveFiles(zipBomb, { remaining: 1000 }), /extraction size limit/);
+});
+
+test('extractArchive shares the size limit across nested archives', async () => {
+  const inner = createZip([{ name: 'movie.srt', data: Buffer.alloc(3000, 'a') }]);
+  const buffer = createZip([{ name: 'one.zip', data: inner }, { name: 'two.zip', data: inner }]);
+
+  const files = await extractArchive(buffer, { maxBytes: inner.length * 2 + 4000 });
+  // The second nested archive no longer fits and is skipped
+  assert.deepEqual(files.map(file => file.name), ['one.zip/movie.srt']);
+  await assert.rejects(extractArchive(buffer, { maxBytes: 100 }), /extraction size limit/);
+});
+
+test('listArchiveFiles rejects plain files', async () => {
+  await assert.rejects(listArchiveFiles(Buffer.from(SRT)), /Unsupported archive format/);
+});
+
+test('pickSubtitleFile prefers .srt over .sub and .txt', () => {
+  const files = [
+    { name: 'notes.txt', data: Buffer.alloc(0) },
+    { name: 'movie.sub', data: Buffer.alloc(0) },
+    { name: 'movie.SRT', data: Buffer.alloc(0) }
+  ];
+
+  assert.equal(pickSubtitleFile(files).name, 'movie.SRT');
+  assert.equal(pickSubtitleFile(files.slice(0, 2)).name, 'movie.sub');
+  assert.equal(pickSubtitleFile([files[0], { name: 'movie.ass', data: Buffer.alloc(0) }]).name, 'movie.ass');
+  assert.equal(pickSubtitleFile([{ name: 'cover.jpg', data: Buffer.alloc(0) }]), null);
+  assert.equal(pickSubtitleFile([{ name: 'cover.jpg', data: Buffer.alloc(0) }, { name: '', data: Buffer.alloc(0) }]).name, '');
+});
+
+test('listSubtitleEntries keeps subtitle files in natural name order', () => {
+  const files = ['CD10.srt', 'cover.jpg', 'CD2.sub', 'CD1.srt', 'info.txt'].map(name => ({ name, data: Buffer.alloc(0) }));
+  assert.deepEqual(listSubtitleEntries(files).map(file => file.name), ['CD1.srt', 'CD2.sub', 'CD10.srt', 'info.txt']);
+});
+
+test('pickSubtitleFile picks the requested episode from a season pack', () => {
+  const files = ['Show.S01E01.srt', 'Show.S01E02.srt', 'Show.S01E02.sub', 'readme.txt'].map(name => ({ name, data: Buffer.alloc(0) }));
+
+  assert.equal(pickSubtitleFile(files, { season: 1, episode: 2 }).name, 'Show.S01E02.srt');
+  // Nothing names episode 7: fall back to the usual preference
+  assert.equal(pickSubtitleFile(files, { season: 1, episode: 7 }).name, 'Show.S01E01.srt');
+});
@@ -1,7 +1,7 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { getBaseUrl } = require('../lib/base-url');
+const { getBaseUrl, parseAllowedHosts, isAllowedHost } = require('../lib/base-url');
 
 function withEnv(overrides, fn) {
   const original = { ...process.env };
@@ -51,3 +51,32 @@ test('getBaseUrl falls back to VERCEL_URL when host is missing', () => {
     assert.equal(baseUrl, 'https://example.vercel.app');
   });
 });
+
+test('getBaseUrl ignores hosts that are not on the allow-list', () => {
+  withEnv({ PUBLIC_URL: '', VERCEL_URL: 'subsunac.vercel.app' }, () => {
+    const allowedHosts = parseAllowedHosts('subs.example.com, *.vercel.app');
+    assert.equal(getBaseUrl({ headers: { host: 'Subs.Example.com' } }, { allowedHosts }), 'https://Subs.Example.com');
+    assert.equal(getBaseUrl({ headers: { host: 'preview-1.vercel.app' } }, { allowedHosts }), 'https://preview-1.vercel.app');
+    assert.equal(getBaseUrl({ headers: { host: 'attacker.test' } }, { allowedHosts }), 'https://subsunac.vercel.app');
+    assert.equal(getBaseUrl({ headers: { host: 'vercel.app.attacker.test' } }, { allowedHosts }), 'https://subsunac.vercel.app');
+  });
+});
+
+test('getBaseUrl reads ALLOWED_HOSTS and rejects malformed hosts', () => {
+  withEnv({ PUBLIC_URL: '', VERCEL_URL: '', ALLOWED_HOSTS: 'subs.example.com:8443' }, () => {
+    assert.equal(getBaseUrl({ headers: { host: 'subs.example.com:8443' } }), 'https://subs.example.com:8443');
+    assert.equal(getBaseUrl({ headers: { host: 'attacker.test' } }), '');
+  });
+  withEnv({ PUBLIC_URL: '', VERCEL_URL: '', ALLOWED_HOSTS: '' }, () => {
+    assert.equal(getBaseUrl({ headers: { host: 'attacker.test/evil?' } }), '');
+    assert.equal(getBaseUrl({ headers: { host: 'localhost:7000', 'x-forwarded-proto': 'http' } }), 'http://localhost:7000');
+    assert.equal(getBaseUrl({ headers: { host: 'a.test', 'x-forwarded-proto': 'javascript' } }), 'https://a.test');
+  });
+});
+
+test('isAllowedHost matches wildcard subdomains only', () => {
+  assert.equal(isAllowedHost('a.b.example.com', ['*.example.com']), true);
+  assert.equal(isAllowedHost('example.com', ['*.example.com']), false);
+  assert.equal(isAllowedHost('badexample.com', ['*.example.com']), false);
+  assert.equal(isAllowedHost('anything.test', []), true);
+});
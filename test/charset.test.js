@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+
+const { detectCharset, decodeSubtitleText, scoreBulgarian } = require('../lib/charset');
+
+const SAMPLE = [
+  '1',
+  '00:00:01,000 --> 00:00:03,000',
+  'Това е тест на субтитрите.',
+  '',
+  '2',
+  '00:00:04,000 --> 00:00:06,000',
+  '- Къде отиваш, Щерю?',
+  '- Вкъщи. Ще се видим утре.',
+  ''
+].join('\r\n');
+
+for (const charset of ['windows-1251', 'koi8-r', 'iso-8859-5', 'cp866']) {
+  test(`detectCharset recognises Bulgarian text in ${charset}`, () => {
+    const buffer = iconv.encode(SAMPLE, charset);
+
+    assert.equal(detectCharset(buffer), charset);
+    assert.equal(decodeSubtitleText(buffer).text, SAMPLE);
+  });
+}
+
+test('detectCharset trusts BOMs and valid UTF-8', () => {
+  assert.equal(detectCharset(Buffer.from('Hello', 'ascii')), 'utf-8');
+  assert.equal(detectCharset(Buffer.from(SAMPLE, 'utf8')), 'utf-8');
+  assert.equal(detectCharset(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(SAMPLE, 'utf8')])), 'utf-8');
+  assert.equal(detectCharset(iconv.encode(SAMPLE, 'utf-16le', { addBOM: true })), 'utf-16le');
+  assert.equal(detectCharset(iconv.encode(SAMPLE, 'utf-16be', { addBOM: true })), 'utf-16be');
+
+  const decoded = decodeSubtitleText(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(SAMPLE, 'utf8')]));
+  assert.equal(decoded.text, SAMPLE);
+});
+
+test('detectCharset recognises UTF-16 without a BOM', () => {
+  for (const charset of ['utf-16le', 'utf-16be']) {
+    const buffer = iconv.encode(SAMPLE, charset);
+
+    assert.equal(detectCharset(buffer), charset);
+    assert.equal(decodeSubtitleText(buffer).text, SAMPLE);
+  }
+});
+
+test('scoreBulgarian prefers real words over mis-decoded text', () => {
+  const buffer = iconv.encode('Това е тест', 'windows-1251');
+
+  assert.ok(scoreBulgarian(iconv.decode(buffer, 'windows-1251')) > scoreBulgarian(iconv.decode(buffer, 'koi8-r')));
+  assert.ok(scoreBulgarian('Това е тест') > scoreBulgarian('тОВА Е ТЕСТ'));
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidAdPattern, normalizeAdPatterns, stripAdCues, fixCueTimes, cleanupCues } = require('../lib/cleanup');
+
+test('stripAdCues removes credits and provider adverts', () => {
+  const cues = [
+    { start: 0, end: 2000, text: 'Превод и субтитри: Иван' },
+    { start: 2000, end: 4000, text: '<i>www.subs.sab.bz</i>' },
+    { start: 5000, end: 7000, text: 'Къде отиваш?' },
+    { start: 8000, end: 9000, text: 'Subtitles by Maria\nСвали от subsunacs.net' },
+    { start: 10000, end: 12000, text: 'Синхронизация: Петър\nДобре дошли!' }
+  ];
+
+  assert.deepEqual(stripAdCues(cues), [
+    { start: 5000, end: 7000, text: 'Къде отиваш?' },
+    { start: 10000, end: 12000, text: 'Добре дошли!' }
+  ]);
+});
+
+test('stripAdCues only applies the built-in patterns to the first and last cues', () => {
+  const cues = Array.from({ length: 12 }, (_, index) => ({ start: index * 1000, end: index * 1000 + 500, text: `Реплика ${index}` }));
+  cues[0].text = 'www.subs.sab.bz';
+  cues[6].text = 'Пиши ми на www.example.com';
+  cues[11].text = 'Превод: Иван';
+  // Out of order, but still the last cue by time
+  cues.unshift(cues.pop());
+
+  const stripped = stripAdCues(cues);
+  assert.equal(stripped.length, 10);
+  assert.ok(stripped.some(cue => cue.text === 'Пиши ми на www.example.com'));
+  assert.equal(stripAdCues(cues, ['example.com']).length, 9);
+});
+
+test('stripAdCues keeps dialogue that only mentions the words', () => {
+  const cues = [{ start: 0, end: 1000, text: 'Този превод е ужасен.' }];
+  assert.deepEqual(stripAdCues(cues), cues);
+});
+
+test('stripAdCues applies extra plain-text patterns case-insensitively', () => {
+  const cues = [
+    { start: 0, end: 1000, text: 'Гледайте ни в TELEGRAM' },
+    { start: 1000, end: 2000, text: 'Текст (с точки)...' }
+  ];
+  assert.deepEqual(stripAdCues(cues, ['telegram', '(с точки)']), []);
+});
+
+test('fixCueTimes sorts, merges same starts and fixes durations and overlaps', () => {
+  const cues = [
+    { start: 5000, end: 5000, text: 'Нулева' },
+    { start: 1000, end: 6000, text: 'Застъпва' },
+    { start: 3000, end: 4000, text: 'Едно' },
+    { start: 3000, end: 4500, text: 'Две' },
+    { start: 20000, end: 19000, text: 'Обратна' }
+  ];
+
+  assert.deepEqual(fixCueTimes(cues), [
+    { start: 1000, end: 3000, text: 'Застъпва' },
+    { start: 3000, end: 4500, text: 'Едно\nДве' },
+    { start: 5000, end: 9000, text: 'Нулева' },
+    { start: 20000, end: 24000, text: 'Обратна' }
+  ]);
+});
+
+test('cleanupCues drops adverts before fixing times', () => {
+  const cues = [
+    { start: 0, end: 3000, text: 'Превод: Иван' },
+    { start: 1000, end: 1000, text: 'Здравей' }
+  ];
+  assert.deepEqual(cleanupCues(cues), [{ start: 1000, end: 5000, text: 'Здравей' }]);
+});
+
+test('isValidAdPattern accepts short non-empty strings', () => {
+  assert.equal(isValidAdPattern(' telegram '), true);
+  assert.equal(isValidAdPattern(' '), false);
+  assert.equal(isValidAdPattern('x'.repeat(101)), false);
+  assert.equal(isValidAdPattern(3), false);
+});
+
+test('normalizeAdPatterns keeps a few non-empty strings', () => {
+  assert.deepEqual(normalizeAdPatterns(['a', 'a', ' ', 3, 'b']), ['a', 'b']);
+  assert.deepEqual(normalizeAdPatterns('a'), []);
+  assert.equal(normalizeAdPatterns(Array.from({ length: 20 }, (_, i) => `p${i}`)).length, 10);
+});
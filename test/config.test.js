@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_CONFIG,
+  normalizeConfig,
+  encodeConfig,
+  decodeConfig,
+  getConfiguredManifest
+} = require('../lib/config');
+
+test('normalizeConfig fills in defaults', () => {
+  assert.deepEqual(normalizeConfig(null), DEFAULT_CONFIG);
+  assert.deepEqual(normalizeConfig({}), DEFAULT_CONFIG);
+});
+
+test('normalizeConfig drops unknown providers and invalid options', () => {
+  const config = normalizeConfig({
+    providers: ['subsab', 'nope', 'subsab'],
+    maxResults: 500,
+    sort: 'random',
+    label: 'compact',
+    expandArchives: 'yes'
+  });
+
+  assert.deepEqual(config.providers, ['subsab']);
+  assert.equal(config.maxResults, 20);
+  assert.equal(config.sort, 'default');
+  assert.equal(config.label, 'compact');
+  assert.equal(config.expandArchives, false);
+});
+
+test('normalizeConfig keeps a few valid offset variants', () => {
+  const config = normalizeConfig({ offsetVariants: [2500, 'x', 0, 2500, -1000, 9999999, 1.5, 500, 1000, 3000] });
+  assert.deepEqual(config.offsetVariants, [2500, -1000, 500, 1000]);
+});
+
+test('normalizeConfig keeps cleanup and SDH options and valid advert patterns', () => {
+  const config = normalizeConfig({ cleanup: true, adPatterns: [' foo ', '', 42, 'foo', 'x'.repeat(101), 'bar'] });
+  assert.equal(config.cleanup, true);
+  assert.deepEqual(config.adPatterns, ['foo', 'bar']);
+  assert.equal(normalizeConfig({ cleanup: 'yes' }).cleanup, false);
+  assert.equal(normalizeConfig({ stripSdh: true }).stripSdh, true);
+  assert.equal(normalizeConfig({ labelSdh: 1 }).labelSdh, false);
+  assert.equal(normalizeConfig({ latinVariants: true }).latinVariants, true);
+});
+
+test('normalizeConfig keeps all providers when none are valid', () => {
+  const config = normalizeConfig({ providers: ['nope'] });
+  assert.deepEqual(config.providers, DEFAULT_CONFIG.providers);
+});
+
+test('encodeConfig and decodeConfig round-trip', () => {
+  const segment = encodeConfig({ providers: ['subsunacs'], maxResults: 5, sort: 'downloads' });
+  assert.match(segment, /^[A-Za-z0-9_-]+$/);
+
+  const config = decodeConfig(segment);
+  assert.deepEqual(config.providers, ['subsunacs']);
+  assert.equal(config.maxResults, 5);
+  assert.equal(config.sort, 'downloads');
+  assert.equal(config.label, 'full');
+});
+
+test('decodeConfig rejects malformed segments', () => {
+  assert.equal(decodeConfig(''), null);
+  assert.equal(decodeConfig('not base64!'), null);
+  assert.equal(decodeConfig(Buffer.from('{oops').toString('base64url')), null);
+  assert.equal(decodeConfig(Buffer.from('[1,2]').toString('base64url')), null);
+});
+
+test('getConfiguredManifest disables the Configure button', () => {
+  const manifest = { id: 'x', behaviorHints: { configurable: true, configurationRequired: false } };
+  const configured = getConfiguredManifest(manifest);
+
+  assert.equal(configured.behaviorHints.configurable, false);
+  assert.equal(manifest.behaviorHints.configurable, true);
+});
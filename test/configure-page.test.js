@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderConfigurePage } = require('../lib/configure-page');
+const { normalizeConfig } = require('../lib/config');
+
+const manifest = {
+  name: 'Bulgarian <Subtitles>',
+  description: 'Test',
+  logo: 'https://example.com/logo.png'
+};
+
+test('renderConfigurePage lists every registered provider', () => {
+  const html = renderConfigurePage({ manifest, baseUrl: 'https://addon.test' });
+  assert.match(html, /value="subsunacs" checked/);
+  assert.match(html, /value="subsab" checked/);
+  assert.match(html, /Subsunacs/);
+  assert.match(html, /SubsSab/);
+});
+
+test('renderConfigurePage prefills the given config', () => {
+  const config = normalizeConfig({ providers: ['subsab'], maxResults: 7, sort: 'title', label: 'compact', expandArchives: true, offsetVariants: [-2500, 1000], cleanup: true, adPatterns: ['foo', '<b>'], stripSdh: true });
+  const html = renderConfigurePage({ manifest, baseUrl: 'https://addon.test', config });
+
+  assert.match(html, /value="subsunacs">/);
+  assert.match(html, /value="subsab" checked/);
+  assert.match(html, /name="maxResults"[^>]*value="7"/);
+  assert.match(html, /value="title" selected/);
+  assert.match(html, /value="compact" selected/);
+  assert.match(html, /name="expandArchives" checked/);
+  assert.match(html, /name="offsetVariants"[^>]*value="-2.5, 1"/);
+  assert.match(html, /name="cleanup" checked/);
+  assert.match(html, /name="stripSdh" checked/);
+  assert.match(html, /name="labelSdh">/);
+  assert.match(html, /name="adPatterns"[^>]*>foo\n&lt;b&gt;<\/textarea>/);
+});
+
+test('renderConfigurePage escapes manifest text and embeds the base URL', () => {
+  const html = renderConfigurePage({ manifest, baseUrl: 'https://addon.test' });
+  assert.match(html, /Bulgarian &lt;Subtitles&gt;/);
+  assert.match(html, /var baseUrl = "https:\/\/addon.test"/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEpisode, filterEpisodeFiles, selectSeasonPacks } = require('../lib/episode');
+
+test('parseEpisode understands common naming schemes', () => {
+  assert.deepEqual(parseEpisode('Breaking.Bad.S01E05.720p.BluRay.x264.srt'), { season: 1, episode: 5 });
+  assert.deepEqual(parseEpisode('breaking bad s1e5.srt'), { season: 1, episode: 5 });
+  assert.deepEqual(parseEpisode('Breaking Bad 1x05.sub'), { season: 1, episode: 5 });
+  assert.deepEqual(parseEpisode('Season 1/Breaking.Bad.E05.srt'), { season: null, episode: 5 });
+  assert.deepEqual(parseEpisode('Friends Episode 12.srt'), { season: null, episode: 12 });
+  assert.deepEqual(parseEpisode('[SubsPlease] Frieren - 05 (1080p).srt'), { season: null, episode: 5 });
+  assert.deepEqual(parseEpisode('05. Pilot.srt'), { season: null, episode: 5 });
+});
+
+test('parseEpisode ignores resolutions, codecs and years', () => {
+  assert.equal(parseEpisode('Movie.2019.1080p.WEB-DL.E-AC3.x264.srt'), null);
+  assert.equal(parseEpisode('Movie 1920x1080.srt'), null);
+});
+
+test('filterEpisodeFiles prefers season and episode matches', () => {
+  const files = [
+    { name: 'Show.S01E04.srt' },
+    { name: 'Show.S01E05.srt' },
+    { name: 'Show.S02E05.srt' },
+    { name: 'Show.E05.srt' }
+  ];
+
+  assert.deepEqual(filterEpisodeFiles(files, 1, 5).map(f => f.name), ['Show.S01E05.srt']);
+  assert.deepEqual(filterEpisodeFiles(files, 3, 5).map(f => f.name), ['Show.E05.srt']);
+  assert.deepEqual(filterEpisodeFiles(files, 1, 9), []);
+});
+
+test('selectSeasonPacks keeps whole-season results for the requested season', () => {
+  const results = [
+    { id: '1', title: 'Breaking Bad S01 Complete' },
+    { id: '2', title: 'Breaking Bad S01E03' },
+    { id: '3', title: 'Breaking Bad Season 2' },
+    { id: '4', title: 'Breaking Bad - Сезон 1' }
+  ];
+
+  const packs = selectSeasonPacks(results, 1);
+  assert.deepEqual(packs.map(r => r.id), ['1', '4']);
+  assert.ok(packs.every(r => r.seasonPack));
+});
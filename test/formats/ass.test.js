@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detect, parse } = require('../../lib/formats/ass');
+
+const ASS = [
+  '[Script Info]',
+  'ScriptType: v4.00+',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline',
+  'Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0',
+  'Style: Song,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,-1,0',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:05.00,0:00:06.00,Song,,0,0,0,,Ла-ла, ла',
+  'Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,{\\pos(10,10)\\blur2}Първи\\Nред, {\\i1}наклонен{\\i0}',
+  'Comment: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,Коментар',
+  'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\c&H0000FF&}Червен',
+  'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}'
+].join('\n');
+
+test('parse converts events to SRT markup in time order', () => {
+  assert.equal(detect(ASS), true);
+  assert.deepEqual(parse(ASS), [
+    { start: 1000, end: 2500, text: 'Първи\nред, <i>наклонен</i>' },
+    { start: 3000, end: 4000, text: '<font color="#ff0000">Червен</font>' },
+    { start: 5000, end: 6000, text: '<i>Ла-ла, ла</i>' }
+  ]);
+});
+
+test('parse handles SSA files without a Format line', () => {
+  const ssa = '[Script Info]\n\n[Events]\nDialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,0000,0000,0000,,Текст, със запетая\n';
+
+  assert.deepEqual(parse(ssa), [{ start: 1000, end: 2000, text: 'Текст, със запетая' }]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTimeParam, decodeEntities, keepSrtTags, finishCues } = require('../../lib/formats/common');
+
+test('parseTimeParam accepts milliseconds and timestamps', () => {
+  assert.equal(parseTimeParam('2500'), 2500);
+  assert.equal(parseTimeParam('-2500'), -2500);
+  assert.equal(parseTimeParam('00:45:12,345'), 2712345);
+  assert.equal(parseTimeParam('45:12'), 2712000);
+  assert.equal(parseTimeParam('soon'), null);
+  assert.equal(parseTimeParam(undefined), null);
+});
+
+test('decodeEntities handles named and numeric entities', () => {
+  assert.equal(decodeEntities('Том &amp; Джери&nbsp;&#1041;&#x413;&bogus;'), 'Том & Джери БГ&bogus;');
+});
+
+test('keepSrtTags keeps only SRT styling', () => {
+  assert.equal(keepSrtTags('<B>a</B> <c.yellow>b</c> <font face="x" color=red>c</font>'), '<b>a</b> b <font color="red">c</font>');
+});
+
+test('finishCues fills missing end times and drops empty cues', () => {
+  const cues = finishCues([
+    { start: 1000, end: null, text: ' Едно ' },
+    { start: 2000, end: null, text: '' },
+    { start: 10000, end: null, text: 'Две' }
+  ]);
+
+  assert.deepEqual(cues, [
+    { start: 1000, end: 2000, text: 'Едно' },
+    { start: 10000, end: 14000, text: 'Две' }
+  ]);
+});
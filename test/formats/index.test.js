@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectFormat, parseSubtitle, serializeCues } = require('../../lib/formats');
+
+test('detectFormat recognises every supported format', () => {
+  assert.equal(detectFormat('1\n00:00:01,000 --> 00:00:02,000\nТекст\n'), 'srt');
+  assert.equal(detectFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nТекст\n'), 'vtt');
+  assert.equal(detectFormat('[Script Info]\nTitle: x\n'), 'ass');
+  assert.equal(detectFormat('<SAMI><BODY><SYNC Start=0><P>Текст</BODY></SAMI>'), 'sami');
+  assert.equal(detectFormat('{1}{25}Текст\n'), 'microdvd');
+  assert.equal(detectFormat('[1][25]Текст\n'), 'mpl2');
+  assert.equal(detectFormat('00:00:01:Текст\n'), 'tmplayer');
+  assert.equal(detectFormat('просто текст'), null);
+});
+
+test('parseSubtitle strips the BOM and passes options to the parser', () => {
+  const { format, cues } = parseSubtitle('\uFEFF{25}{50}Текст\n', { fps: 25 });
+
+  assert.equal(format, 'microdvd');
+  assert.equal(serializeCues(cues).body, '1\n00:00:01,000 --> 00:00:02,000\nТекст\n');
+});
+
+test('parseSubtitle returns no cues for unknown text', () => {
+  assert.deepEqual(parseSubtitle('<html>Not found</html>'), { format: null, cues: [] });
+});
+
+test('serializeCues writes SRT, WebVTT and JSON', () => {
+  const cues = [{ start: 1000, end: 2000, text: '<i>Текст</i>' }];
+
+  assert.equal(serializeCues(cues, 'srt').contentType, 'application/x-subrip; charset=utf-8');
+  assert.deepEqual(serializeCues(cues, 'vtt'), {
+    contentType: 'text/vtt; charset=utf-8',
+    body: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<i>Текст</i>\n'
+  });
+  assert.deepEqual(JSON.parse(serializeCues(cues, 'json').body), cues);
+  assert.throws(() => serializeCues(cues, 'xml'), /Unsupported output format/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detect, parse } = require('../../lib/formats/microdvd');
+
+test('parse converts frames using the header frame rate', () => {
+  const text = '{1}{1}23.976\n{24}{48}Първи ред|Втори ред\n';
+
+  assert.equal(detect(text), true);
+  assert.deepEqual(parse(text), [{ start: 1001, end: 2002, text: 'Първи ред\nВтори ред' }]);
+});
+
+test('parse falls back to the given frame rate, then 25 fps', () => {
+  const text = '{25}{50}Текст\n';
+
+  assert.deepEqual(parse(text), [{ start: 1000, end: 2000, text: 'Текст' }]);
+  assert.deepEqual(parse(text, { fps: 23.976 }), [{ start: 1043, end: 2085, text: 'Текст' }]);
+});
+
+test('the header frame rate overrides the given one', () => {
+  assert.deepEqual(parse('{1}{1}23.976\n{24}{48}Текст\n', { fps: 25 }), [{ start: 1001, end: 2002, text: 'Текст' }]);
+});
+
+test('parse maps line control codes and "/" to SRT tags', () => {
+  const text = [
+    '{25}{50}{y:i}Песен|Говор',
+    '{75}{100}/Мисъл|- Реплика',
+    '{125}{150}{y:b,i}Силно|{c:$0000FF}Червено|{f:Arial}{s:20}Шрифт'
+  ].join('\n');
+
+  assert.deepEqual(parse(text).map(cue => cue.text), [
+    '<i>Песен</i>\nГовор',
+    '<i>Мисъл</i>\n- Реплика',
+    '<b><i>Силно</i></b>\n<font color="#ff0000">Червено</font>\nШрифт'
+  ]);
+});
+
+test('parse applies upper-case control codes to the whole cue', () => {
+  const text = '{25}{50}{Y:i}Цял|запис\n{75}{100}{Y:i}{C:$00FF00}/Зелено|{y:b}и силно\n';
+
+  assert.deepEqual(parse(text).map(cue => cue.text), [
+    '<i>Цял\nзапис</i>',
+    '<font color="#00ff00"><i>Зелено\n<b>и силно</b></i></font>'
+  ]);
+});
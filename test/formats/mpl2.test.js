@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detect, parse } = require('../../lib/formats/mpl2');
+
+test('parse reads deciseconds and per-line italics', () => {
+  const text = '[10][25]Казах|/ти го\n[30][45]/Песен\n';
+
+  assert.equal(detect(text), true);
+  assert.deepEqual(parse(text), [
+    { start: 1000, end: 2500, text: 'Казах\n<i>ти го</i>' },
+    { start: 3000, end: 4500, text: '<i>Песен</i>' }
+  ]);
+});
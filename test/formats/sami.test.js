@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detect, parse } = require('../../lib/formats/sami');
+
+test('parse reads SYNC blocks and prefers the Bulgarian class', () => {
+  const text = [
+    '<SAMI><HEAD><STYLE><!-- .ENCC { lang: en-US; } .BGCC { lang: bg-BG; } --></STYLE></HEAD><BODY>',
+    '<SYNC Start=1000><P Class=ENCC>Hello<P Class=BGCC>Здравей<br>свят',
+    '<SYNC Start=2500><P Class=BGCC>&nbsp;',
+    '<SYNC Start=4000><P Class=BGCC><i>Песен</i> &amp; танц',
+    '</BODY></SAMI>'
+  ].join('\n');
+
+  assert.equal(detect(text), true);
+  assert.deepEqual(parse(text), [
+    { start: 1000, end: 2500, text: 'Здравей\nсвят' },
+    { start: 4000, end: 8000, text: '<i>Песен</i> & танц' }
+  ]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatSrtTime, detect, parse, format } = require('../../lib/formats/srt');
+
+test('parse reads cues and drops indices', () => {
+  const text = '1\r\n00:00:01,000 --> 00:00:02,500\r\nЗдравей\r\nсвят\r\n\r\n2\r\n00:00:03.2 --> 00:00:04,000\r\nЧао\r\n';
+
+  assert.equal(detect(text), true);
+  assert.deepEqual(parse(text), [
+    { start: 1000, end: 2500, text: 'Здравей\nсвят' },
+    { start: 3200, end: 4000, text: 'Чао' }
+  ]);
+});
+
+test('parse keeps SRT styling and drops other markup', () => {
+  const [cue] = parse('1\n00:00:01,000 --> 00:00:02,000\n<I>Песен</I> <span>и</span> <font color="#ff0000">цвят</font>\n');
+
+  assert.equal(cue.text, '<i>Песен</i> и <font color="#ff0000">цвят</font>');
+});
+
+test('format renumbers cues', () => {
+  const srt = format([
+    { start: 0, end: 1500, text: 'Едно' },
+    { start: 3723004, end: 3724000, text: 'Две' }
+  ]);
+
+  assert.equal(srt, '1\n00:00:00,000 --> 00:00:01,500\nЕдно\n\n2\n01:02:03,004 --> 01:02:04,000\nДве\n');
+  assert.deepEqual(parse(srt).map(cue => cue.text), ['Едно', 'Две']);
+});
+
+test('formatSrtTime clamps negative times', () => {
+  assert.equal(formatSrtTime(-500), '00:00:00,000');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detect, parse } = require('../../lib/formats/tmplayer');
+
+test('parse ends cues at the next start or screen clear', () => {
+  const text = '00:00:01:Първи|ред\n00:00:02=Втори\n00:00:03:\n00:01:00:Последен\n';
+
+  assert.equal(detect(text), true);
+  assert.deepEqual(parse(text), [
+    { start: 1000, end: 2000, text: 'Първи\nред' },
+    { start: 2000, end: 3000, text: 'Втори' },
+    { start: 60000, end: 64000, text: 'Последен' }
+  ]);
+});
+
+test('parse joins numbered lines of one cue', () => {
+  const text = '00:00:01,1=Първи\n00:00:01,2=Втори\n';
+
+  assert.deepEqual(parse(text).map(cue => cue.text), ['Първи\nВтори']);
+});
+
+test('detect does not mistake SRT for TMPlayer', () => {
+  assert.equal(detect('1\n00:00:01,000 --> 00:00:02,000\nТекст\n'), false);
+});
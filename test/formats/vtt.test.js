@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detect, parse, format } = require('../../lib/formats/vtt');
+
+test('parse reads cues without hours and drops settings, notes and voices', () => {
+  const text = 'WEBVTT\n\nNOTE бележка\n\nintro\n00:01.000 --> 00:02.500 line:90%\n<v Иван>Здравей &amp; <i>чао</i></v>\n';
+
+  assert.equal(detect(text), true);
+  assert.deepEqual(parse(text), [{ start: 1000, end: 2500, text: 'Здравей & <i>чао</i>' }]);
+});
+
+test('format writes WebVTT with escaped text', () => {
+  const vtt = format([{ start: 3723004, end: 3724000, text: '<font color="#ff0000"><i>A & B</i></font>' }]);
+
+  assert.equal(vtt, 'WEBVTT\n\n01:02:03.004 --> 01:02:04.000\n<i>A &amp; B</i>\n');
+});
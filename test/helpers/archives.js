@@ -0,0 +1,188 @@
+/**
+ * Builders for small archives used as test fixtures
+ */
+
+const SevenZip = require('7z-wasm');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+}
+
+/**
+ * RAR 1.5-4.x archive with stored files
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @returns {Buffer}
+ */
+function createRar4(files) {
+  const parts = [Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00])];
+
+  const withCrc = (body) => {
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(crc32(body) & 0xFFFF);
+    return Buffer.concat([crc, body]);
+  };
+
+  const mainHeader = Buffer.alloc(11);
+  mainHeader.writeUInt8(0x73, 0);
+  mainHeader.writeUInt16LE(0, 1);
+  mainHeader.writeUInt16LE(13, 3);
+  parts.push(withCrc(mainHeader));
+
+  for (const file of files) {
+    const data = toBuffer(file.data);
+    const name = Buffer.from(file.name, 'latin1');
+    const header = Buffer.alloc(30 + name.length);
+    header.writeUInt8(0x74, 0);
+    header.writeUInt16LE(0x8000, 1);
+    header.writeUInt16LE(32 + name.length, 3);
+    header.writeUInt32LE(data.length, 5);
+    header.writeUInt32LE(data.length, 9);
+    header.writeUInt8(2, 13);
+    header.writeUInt32LE(crc32(data), 14);
+    header.writeUInt32LE(0x5A210000, 18);
+    header.writeUInt8(29, 22);
+    header.writeUInt8(0x30, 23);
+    header.writeUInt16LE(name.length, 24);
+    header.writeUInt32LE(0x20, 26);
+    name.copy(header, 30);
+    parts.push(withCrc(header), data);
+  }
+
+  parts.push(Buffer.from([0xC4, 0x3D, 0x7B, 0x00, 0x40, 0x07, 0x00]));
+  return Buffer.concat(parts);
+}
+
+function vint(value) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7F;
+    value = Math.floor(value / 128);
+    if (value > 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * RAR 5.x archive with stored files
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @returns {Buffer}
+ */
+function createRar5(files) {
+  const block = (fields) => {
+    const body = Buffer.concat(fields);
+    const sized = Buffer.concat([vint(body.length), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32LE(crc32(sized));
+    return Buffer.concat([crc, sized]);
+  };
+
+  const parts = [Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x01, 0x00])];
+  parts.push(block([vint(1), vint(0), vint(0)]));
+
+  for (const file of files) {
+    const data = toBuffer(file.data);
+    const name = Buffer.from(file.name, 'utf8');
+    const dataCrc = Buffer.alloc(4);
+    dataCrc.writeUInt32LE(crc32(data));
+
+    parts.push(block([
+      vint(2),            // header type: file
+      vint(0x02),         // header flags: data area present
+      vint(data.length),  // data size
+      vint(0x04),         // file flags: CRC32 present
+      vint(data.length),  // unpacked size
+      vint(0x20),         // attributes
+      dataCrc,
+      vint(0),            // compression: version 0, stored
+      vint(0),            // host OS: Windows
+      vint(name.length),
+      name
+    ]), data);
+  }
+
+  parts.push(block([vint(5), vint(0), vint(0)]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * ustar archive
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @returns {Buffer}
+ */
+function createTar(files) {
+  const parts = [];
+
+  for (const file of files) {
+    const data = toBuffer(file.data);
+    const header = Buffer.alloc(512);
+    header.write(file.name, 0, 100, 'utf8');
+    header.write('0000644\0', 100, 'latin1');
+    header.write('0000000\0', 108, 'latin1');
+    header.write('0000000\0', 116, 'latin1');
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124, 'latin1');
+    header.write('00000000000\0', 136, 'latin1');
+    header.write('        ', 148, 'latin1');
+    header.write('0', 156, 'latin1');
+    header.write('ustar\0', 257, 'latin1');
+    header.write('00', 263, 'latin1');
+
+    let checksum = 0;
+    for (const byte of header) {
+      checksum += byte;
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'latin1');
+
+    const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+    parts.push(header, data, padding);
+  }
+
+  parts.push(Buffer.alloc(1024));
+  return Buffer.concat(parts);
+}
+
+/**
+ * 7z archive, compressed with 7-Zip's defaults
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @returns {Promise<Buffer>}
+ */
+async function create7z(files) {
+  const sevenZip = await SevenZip({ print: () => {}, printErr: () => {} });
+  sevenZip.FS.mkdir('/in');
+  sevenZip.FS.chdir('/in');
+  for (const file of files) {
+    sevenZip.FS.writeFile(file.name, toBuffer(file.data));
+  }
+
+  const exitCode = process.exitCode;
+  sevenZip.callMain(['a', '/out.7z', ...files.map(file => file.name)]);
+  process.exitCode = exitCode;
+
+  return Buffer.from(sevenZip.FS.readFile('/out.7z'));
+}
+
+module.exports = {
+  crc32,
+  createRar4,
+  createRar5,
+  createTar,
+  create7z
+};
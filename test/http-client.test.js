@@ -0,0 +1,270 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+const zlib = require('node:zlib');
+
+const httpClient = require('../lib/http-client');
+
+// Small delays keep the retry tests fast
+const FAST = { retryDelay: 1 };
+
+async function withServer(server, run) {
+  // Keep-alive sockets from the client's agents (and proxy tunnels) would hold close() open
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('request retries 5xx responses and reset connections', async () => {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    calls++;
+    if (calls === 1) {
+      res.writeHead(503).end();
+    } else if (calls === 2) {
+      req.socket.destroy();
+    } else {
+      res.end('ok');
+    }
+  });
+
+  await withServer(server, async (base) => {
+    const response = await httpClient.get(`${base}/flaky`, FAST);
+    assert.equal(response.data, 'ok');
+    assert.equal(calls, 3);
+  });
+});
+
+test('request gives up after the configured retries and does not retry 4xx', async () => {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    calls++;
+    res.writeHead(req.url === '/missing' ? 404 : 500).end();
+  });
+
+  await withServer(server, async (base) => {
+    await assert.rejects(httpClient.get(`${base}/broken`, { ...FAST, retries: 1 }), { status: 500 });
+    assert.equal(calls, 2);
+
+    calls = 0;
+    await assert.rejects(httpClient.get(`${base}/missing`, FAST), { status: 404 });
+    assert.equal(calls, 1);
+  });
+});
+
+test('request follows redirects up to the limit and turns POST into GET on 302', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/loop')) {
+      res.writeHead(302, { Location: `/loop${req.url.length}` }).end();
+    } else if (req.url === '/form') {
+      res.writeHead(302, { Location: '/result' }).end();
+    } else {
+      res.end(`${req.method} ${req.url}`);
+    }
+  });
+
+  await withServer(server, async (base) => {
+    const response = await httpClient.post(`${base}/form`, new URLSearchParams({ q: 'test' }));
+    assert.equal(response.data, 'GET /result');
+    assert.equal(response.url, `${base}/result`);
+
+    await assert.rejects(httpClient.get(`${base}/loop`, { maxRedirects: 3 }), { code: 'ERR_TOO_MANY_REDIRECTS' });
+  });
+});
+
+test('request sends forms and decodes compressed JSON', async () => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Encoding': 'gzip', 'Content-Type': 'application/json' });
+      res.end(zlib.gzipSync(JSON.stringify({ type: req.headers['content-type'], body, agent: req.headers['user-agent'] })));
+    });
+  });
+
+  await withServer(server, async (base) => {
+    const response = await httpClient.post(`${base}/`, new URLSearchParams({ m: 'Матрицата' }), { responseType: 'json' });
+    assert.deepEqual(response.data, {
+      type: 'application/x-www-form-urlencoded',
+      body: 'm=%D0%9C%D0%B0%D1%82%D1%80%D0%B8%D1%86%D0%B0%D1%82%D0%B0',
+      agent: httpClient.USER_AGENT
+    });
+  });
+});
+
+test('request times out each attempt', async () => {
+  const server = http.createServer(() => {});
+
+  await withServer(server, async (base) => {
+    await assert.rejects(httpClient.get(`${base}/slow`, { timeout: 50 }), { code: 'ETIMEDOUT' });
+  });
+});
+
+test('lenient mode keeps a body with malformed headers and a dropped connection', async () => {
+  // A raw server, since Node's own would neither send the bad header nor the short body
+  const server = net.createServer((socket) => {
+    socket.once('data', () => {
+      socket.write('HTTP/1.1 200 OK\r\nContent-Length: 100\r\nX-Broken: a\x01b\r\n\r\npartial body');
+      setTimeout(() => socket.destroy(), 20);
+    });
+  });
+
+  await withServer(server, async (base) => {
+    const response = await httpClient.get(`${base}/getentry.php`, { ...FAST, retries: 0, responseType: 'buffer', lenient: true });
+    assert.equal(response.data.toString(), 'partial body');
+    assert.equal(response.partial, true);
+
+    await assert.rejects(httpClient.get(`${base}/getentry.php`, { ...FAST, retries: 0 }));
+  });
+});
+
+test('lenient mode fails a stalled download and trusts a body that matches Content-Length', async () => {
+  const server = net.createServer((socket) => {
+    socket.once('data', (request) => {
+      if (request.toString().startsWith('GET /stalled')) {
+        socket.write('HTTP/1.1 200 OK\r\nContent-Length: 100\r\n\r\npartial body');
+      } else {
+        socket.write('HTTP/1.1 200 OK\r\nContent-Length: 8\r\n\r\ncomplete');
+        setTimeout(() => socket.destroy(), 20);
+      }
+    });
+  });
+
+  await withServer(server, async (base) => {
+    const options = { ...FAST, retries: 0, responseType: 'buffer', lenient: true };
+    await assert.rejects(httpClient.get(`${base}/stalled`, { ...options, timeout: 100 }), { code: 'ETIMEDOUT' });
+
+    const response = await httpClient.get(`${base}/closed`, options);
+    assert.equal(response.data.toString(), 'complete');
+    assert.equal(response.partial, false);
+  });
+});
+
+test('retryDelay backs off exponentially with jitter', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = httpClient.retryDelay(1, 100);
+    const third = httpClient.retryDelay(3, 100);
+    assert.ok(first >= 50 && first <= 100, String(first));
+    assert.ok(third >= 200 && third <= 400, String(third));
+  }
+  assert.ok(httpClient.retryDelay(20, 100) <= 3000);
+});
+
+function withEnv(overrides, fn) {
+  const original = { ...process.env };
+  Object.assign(process.env, overrides);
+  return Promise.resolve().then(fn).finally(() => {
+    process.env = original;
+  });
+}
+
+// HTTP CONNECT proxy stand-in that records the tunnels it opens
+function createConnectProxy(tunnels) {
+  const proxy = http.createServer((req, res) => res.writeHead(405).end());
+  proxy.on('connect', (req, clientSocket, head) => {
+    tunnels.push(req.url);
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port), host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on('error', () => clientSocket.destroy());
+    clientSocket.on('error', () => upstream.destroy());
+  });
+  return proxy;
+}
+
+// SOCKS5 stand-in (no authentication, CONNECT to IPv4 or domain names only)
+function createSocksProxy(tunnels) {
+  return net.createServer((socket) => {
+    socket.once('data', () => {
+      socket.write(Buffer.from([0x05, 0x00]));
+      socket.once('data', (request) => {
+        let host;
+        let offset;
+        if (request[3] === 0x01) {
+          host = [...request.subarray(4, 8)].join('.');
+          offset = 8;
+        } else {
+          host = request.subarray(5, 5 + request[4]).toString();
+          offset = 5 + request[4];
+        }
+        const port = request.readUInt16BE(offset);
+        tunnels.push(`${host}:${port}`);
+        const upstream = net.connect(port, host, () => {
+          socket.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+          upstream.pipe(socket);
+          socket.pipe(upstream);
+        });
+        upstream.on('error', () => socket.destroy());
+        socket.on('error', () => upstream.destroy());
+      });
+    });
+  });
+}
+
+test('proxyFor reads HTTPS_PROXY, HTTP_PROXY, NO_PROXY and per-provider settings', () => withEnv({
+  HTTPS_PROXY: 'http://proxy.test:3128',
+  HTTP_PROXY: 'http://plain-proxy.test:3128',
+  NO_PROXY: 'localhost, .internal.test, cinemeta.test:8443',
+  SUBSAB_PROXY: 'socks5://socks.test:1080',
+  SUBSUNACS_PROXY: 'direct'
+}, () => {
+  assert.equal(httpClient.proxyFor(new URL('https://www.imdb.com/title/tt1')), 'http://proxy.test:3128');
+  assert.equal(httpClient.proxyFor(new URL('http://subs.sab.bz/')), 'http://plain-proxy.test:3128');
+  assert.equal(httpClient.proxyFor(new URL('http://subs.sab.bz/'), 'subsab'), 'socks5://socks.test:1080');
+  assert.equal(httpClient.proxyFor(new URL('https://subsunacs.net/'), 'subsunacs'), null);
+  assert.equal(httpClient.proxyFor(new URL('http://localhost:7000/')), null);
+  assert.equal(httpClient.proxyFor(new URL('https://api.internal.test/')), null);
+  assert.equal(httpClient.proxyFor(new URL('https://cinemeta.test:8443/')), null);
+  assert.equal(httpClient.proxyFor(new URL('https://cinemeta.test/')), 'http://proxy.test:3128');
+}));
+
+test('request tunnels through an HTTP CONNECT proxy unless NO_PROXY matches', async () => {
+  const tunnels = [];
+  const target = http.createServer((req, res) => res.end(`proxied ${req.url}`));
+
+  await withServer(target, base => withServer(createConnectProxy(tunnels), proxyBase => withEnv({
+    HTTP_PROXY: proxyBase,
+    NO_PROXY: ''
+  }, async () => {
+    const response = await httpClient.get(`${base}/search`);
+    assert.equal(response.data, 'proxied /search');
+    assert.deepEqual(tunnels, [new URL(base).host]);
+
+    process.env.NO_PROXY = '127.0.0.1';
+    await httpClient.get(`${base}/direct`);
+    assert.equal(tunnels.length, 1);
+  })));
+});
+
+test('request uses a provider SOCKS5 proxy', async () => {
+  const tunnels = [];
+  const target = http.createServer((req, res) => res.end('via socks'));
+
+  await withServer(target, base => withServer(createSocksProxy(tunnels), proxyBase => withEnv({
+    HTTP_PROXY: '',
+    SUBSAB_PROXY: proxyBase.replace('http:', 'socks5:')
+  }, async () => {
+    const response = await httpClient.get(`${base}/index.php`, { provider: 'subsab' });
+    assert.equal(response.data, 'via socks');
+    assert.deepEqual(tunnels, [new URL(base).host]);
+
+    process.env.SUBSAB_PROXY = 'ftp://proxy.test';
+    await assert.rejects(httpClient.get(`${base}/index.php`, { provider: 'subsab' }), /Unsupported proxy protocol/);
+  })));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+
+const { repairMojibake, fixLatinLookalikes } = require('../lib/mojibake');
+
+const TEXT = 'Това е тест.\r\n- Разбира се, Щерю! Ъгъл, ёж.';
+
+test('repairMojibake reverses UTF-8 read as Latin-1', () => {
+  const broken = Buffer.from(TEXT, 'utf8').toString('latin1');
+
+  assert.ok(broken.startsWith('Ð¢Ð¾Ð²Ð°'));
+  assert.deepEqual(repairMojibake(broken), { text: TEXT, repairedLines: 2 });
+});
+
+test('repairMojibake reverses Windows-1251 read as Windows-1252', () => {
+  const broken = iconv.decode(iconv.encode(TEXT, 'windows-1251'), 'windows-1252');
+
+  assert.ok(broken.startsWith('Òîâà'));
+  assert.deepEqual(repairMojibake(broken), { text: TEXT, repairedLines: 2 });
+});
+
+test('repairMojibake only touches broken lines', () => {
+  const broken = Buffer.from('Това', 'utf8').toString('latin1');
+  const text = `1\n00:00:01,000 --> 00:00:02,000\n${broken}\nВсичко е наред\n`;
+
+  assert.deepEqual(repairMojibake(text), {
+    text: '1\n00:00:01,000 --> 00:00:02,000\nТова\nВсичко е наред\n',
+    repairedLines: 1
+  });
+});
+
+test('repairMojibake leaves accented Latin text alone', () => {
+  const text = 'Café crème, Ñu, naïve, Ðorđe';
+
+  assert.deepEqual(repairMojibake(text), { text, repairedLines: 0 });
+});
+
+test('repairMojibake needs a long Cyrillic word before it repairs short Windows-1251 lines', () => {
+  const text = 'ÄÅÆ\nÄà.';
+  assert.deepEqual(repairMojibake(text), { text, repairedLines: 0 });
+
+  const broken = iconv.decode(iconv.encode('Да.\nЧух шум.\nТова е тест.', 'windows-1251'), 'windows-1252');
+  assert.deepEqual(repairMojibake(broken), { text: 'Да.\nЧух шум.\nТова е тест.', repairedLines: 3 });
+});
+
+test('fixLatinLookalikes replaces Latin letters inside Cyrillic words', () => {
+  assert.equal(fixLatinLookalikes('<i>Тоp</i> Ceгa, Мaйкъл'), '<i>Тор</i> Сега, Майкъл');
+});
+
+test('fixLatinLookalikes keeps Latin words and mixed words with other letters', () => {
+  assert.equal(fixLatinLookalikes('Jackson, OK, iPhone-а, Wi-Fi мрежа'), 'Jackson, OK, iPhone-а, Wi-Fi мрежа');
+});
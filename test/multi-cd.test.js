@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findCdParts, joinCdParts, preferCompleteFiles } = require('../lib/multi-cd');
+const { parse: parseSrt } = require('../lib/formats/srt');
+
+const CD1 = parseSrt('1\n00:00:01,000 --> 00:00:02,000\nПърви\n\n2\n00:50:00,000 --> 00:50:02,000\nКрай на CD1\n');
+const CD2 = parseSrt('1\n00:00:05,000 --> 00:00:06,000\nВтори\n');
+
+test('findCdParts detects CD sets in order', () => {
+  const files = [
+    { name: 'Movie.1999.CD2.srt' },
+    { name: 'Movie.1999.CD1.srt' },
+    { name: 'readme.txt' }
+  ];
+
+  assert.deepEqual(findCdParts(files).map(f => f.name), ['Movie.1999.CD1.srt', 'Movie.1999.CD2.srt']);
+});
+
+test('findCdParts understands directories and "1of2" naming', () => {
+  assert.deepEqual(
+    findCdParts([{ name: 'CD1/movie.srt' }, { name: 'CD2/movie.srt' }]).map(f => f.name),
+    ['CD1/movie.srt', 'CD2/movie.srt']
+  );
+  assert.deepEqual(
+    findCdParts([{ name: 'Movie 2of2.sub' }, { name: 'Movie 1of2.sub' }]).map(f => f.name),
+    ['Movie 1of2.sub', 'Movie 2of2.sub']
+  );
+});
+
+test('findCdParts prefers .srt sets and ignores incomplete ones', () => {
+  const files = [
+    { name: 'Movie.CD1.sub' },
+    { name: 'Movie.CD2.sub' },
+    { name: 'Movie.CD1.srt' },
+    { name: 'Movie.CD2.srt' }
+  ];
+
+  assert.deepEqual(findCdParts(files).map(f => f.name), ['Movie.CD1.srt', 'Movie.CD2.srt']);
+  assert.equal(findCdParts([{ name: 'Movie.CD2.srt' }, { name: 'Movie.CD3.srt' }]), null);
+  assert.equal(findCdParts([{ name: 'Movie.srt' }]), null);
+});
+
+test('findCdParts leaves a complete subtitle and "Part" films alone', () => {
+  const files = [{ name: 'Movie.CD1.srt' }, { name: 'Movie.CD2.srt' }, { name: 'Movie.srt' }];
+  assert.equal(findCdParts(files), null);
+  assert.deepEqual(preferCompleteFiles(files).map(f => f.name), ['Movie.srt']);
+
+  // A complete .sub doesn't beat a .srt set
+  const subFiles = [{ name: 'Movie.CD1.srt' }, { name: 'Movie.CD2.srt' }, { name: 'Movie.sub' }];
+  assert.equal(findCdParts(subFiles).length, 2);
+  assert.deepEqual(preferCompleteFiles(subFiles), subFiles);
+
+  assert.equal(findCdParts([{ name: 'Kill.Bill.Part.1.srt' }, { name: 'Kill.Bill.Part.2.srt' }]), null);
+});
+
+test('joinCdParts shifts CD2 by the end of CD1', () => {
+  const cues = joinCdParts([CD1, CD2]);
+
+  assert.equal(cues.length, 3);
+  assert.deepEqual(cues[2], { start: 3002000 + 5000, end: 3002000 + 6000, text: 'Втори' });
+});
+
+test('joinCdParts honours an explicit CD2 offset', () => {
+  const cues = joinCdParts([CD1, CD2], { cd2Offset: 3100000 });
+
+  assert.equal(cues[2].start, 3105000);
+});
+
+test('joinCdParts leaves parts that already continue the timeline alone', () => {
+  const continued = parseSrt('1\n00:51:00,000 --> 00:51:01,000\nВтори\n');
+  const cues = joinCdParts([CD1, continued]);
+
+  assert.equal(cues[2].start, 3060000);
+});
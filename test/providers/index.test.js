@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchAllProviders, getProvider, listProviders, providers } = require('../../lib/providers');
+const subsunacs = require('../../lib/providers/subsunacs');
+const subsab = require('../../lib/providers/subsab');
+
+test('registry lists enabled providers only', () => {
+  assert.deepEqual(Object.keys(providers), ['subsunacs', 'subsab']);
+  assert.deepEqual(listProviders().map(provider => [provider.id, provider.name]), [['subsunacs', 'Subsunacs'], ['subsab', 'SubsSab']]);
+  assert.equal(getProvider('subsab'), subsab);
+  assert.equal(getProvider('yavka'), null);
+  assert.equal(getProvider('toString'), null);
+});
+
+test('every provider describes itself', () => {
+  for (const provider of Object.values(providers)) {
+    assert.equal(typeof provider.id, 'string');
+    assert.equal(typeof provider.name, 'string');
+    assert.equal(typeof provider.search, 'function');
+    assert.equal(typeof provider.download, 'function');
+    assert.deepEqual(Object.keys(provider.capabilities).sort(), ['episodeSearch', 'imdbSearch', 'yearFilter']);
+  }
+});
+
+test('searchAllProviders passes only supported arguments and survives failures', async (t) => {
+  const calls = {};
+  t.mock.method(subsunacs, 'search', async (...args) => {
+    calls.subsunacs = args;
+    return [{ provider: 'subsunacs', id: '1' }];
+  });
+  t.mock.method(subsab, 'search', async (...args) => {
+    calls.subsab = args;
+    throw new Error('offline');
+  });
+
+  const results = await searchAllProviders('Matrix', 1999, null, null, 'tt0133093');
+
+  assert.deepEqual(results, [{ provider: 'subsunacs', id: '1' }]);
+  assert.deepEqual(calls.subsunacs, ['Matrix', 1999, null, null, null]);
+  assert.deepEqual(calls.subsab, ['Matrix', 1999, null, null, 'tt0133093']);
+});
+
+test('searchAllProviders falls back to season packs when no provider has the episode', async (t) => {
+  t.mock.method(subsunacs, 'search', async () => []);
+  const subsabSearch = t.mock.method(subsab, 'search', async (title, year, season) => {
+    if (season) {
+      return [];
+    }
+    return title.endsWith('S02')
+      ? [{ provider: 'subsab', id: '3', title: 'Show S02' }, { provider: 'subsab', id: '4', title: 'Show S02E01' }]
+      : [{ provider: 'subsab', id: '3', title: 'Show S02' }, { provider: 'subsab', id: '5', title: 'Show Season 1' }];
+  });
+
+  const results = await searchAllProviders('Show', null, 2, 5, 'tt1234567');
+
+  assert.deepEqual(results, [{ provider: 'subsab', id: '3', title: 'Show S02', seasonPack: true }]);
+  assert.deepEqual(subsabSearch.mock.calls.map(call => call.arguments), [
+    ['Show', null, 2, 5, 'tt1234567'],
+    ['Show S02', null, null, null, 'tt1234567'],
+    ['Show Season 2', null, null, null, 'tt1234567']
+  ]);
+});
+
+test('searchAllProviders queries only the requested providers', async (t) => {
+  const subsunacsSearch = t.mock.method(subsunacs, 'search', async () => []);
+  t.mock.method(subsab, 'search', async () => [{ provider: 'subsab', id: '2' }]);
+
+  assert.deepEqual(await searchAllProviders('Matrix', null, null, null, null, ['subsab']), [{ provider: 'subsab', id: '2' }]);
+  assert.equal(subsunacsSearch.mock.callCount(), 0);
+});
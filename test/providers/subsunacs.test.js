@@ -14,6 +14,11 @@ test('subsunacs search function exists', () => {
   assert.equal(typeof subsunacs.search, 'function');
 });
 
+test('subsunacs downloadSubtitle function exists', () => {
+  assert.equal(typeof subsunacs.downloadSubtitle, 'function');
+  assert.equal(subsunacs.download, subsunacs.downloadSubtitle);
+});
+
 test('subsunacs getDownloadUrl returns correct URL', () => {
   const url = subsunacs.getDownloadUrl('12345');
   assert.equal(url, 'https://subsunacs.net/getentry.php?id=12345&ei=0');
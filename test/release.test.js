@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRelease, scoreRelease, rankByRelease, fpsFromRelease } = require('../lib/release');
+
+test('parseRelease extracts group, source, resolution and codec', () => {
+  const release = parseRelease('The.Matrix.1999.1080p.BluRay.x264-SPARKS.mkv');
+  assert.equal(release.group, 'SPARKS');
+  assert.equal(release.source, 'BluRay');
+  assert.equal(release.sourceFamily, 'bluray');
+  assert.equal(release.resolution, '1080p');
+  assert.equal(release.codec, 'x264');
+});
+
+test('parseRelease handles WEB-DL names with a streaming service', () => {
+  const release = parseRelease('Dune.Part.Two.2024.2160p.AMZN.WEB-DL.DDP5.1.H.265-FLUX');
+  assert.equal(release.group, 'FLUX');
+  assert.equal(release.source, 'WEB-DL');
+  assert.equal(release.resolution, '2160p');
+  assert.equal(release.codec, 'x265');
+  assert.equal(release.service, 'AMZN');
+});
+
+test('parseRelease does not mistake a tag suffix for a group', () => {
+  const release = parseRelease('Movie 2020 720p WEB-DL');
+  assert.equal(release.group, null);
+  assert.equal(release.source, 'WEB-DL');
+});
+
+test('parseRelease detects editions and bracketed groups', () => {
+  assert.deepEqual(parseRelease('Aliens.1986.Extended.Directors.Cut.BDRip').editions, ['Extended', "Director's Cut"]);
+  assert.equal(parseRelease('[SubsPlease] Frieren - 05 (1080p).mkv').group, 'SubsPlease');
+});
+
+test('scoreRelease prefers the same source over a different family', () => {
+  const target = parseRelease('Movie.2020.1080p.WEB-DL.x264-GRP');
+  const same = scoreRelease(target, parseRelease('Movie 2020 1080p WEB-DL'));
+  const family = scoreRelease(target, parseRelease('Movie 2020 1080p WEBRip'));
+  const other = scoreRelease(target, parseRelease('Movie 2020 1080p BluRay'));
+
+  assert.ok(same > family);
+  assert.ok(family > other);
+  assert.ok(other < 0);
+});
+
+test('rankByRelease puts the exact release first and keeps ties stable', () => {
+  const results = [
+    { id: '1', title: 'Movie (2020)' },
+    { id: '2', title: 'Movie.2020.1080p.BluRay.x264-AMIABLE' },
+    { id: '3', title: 'Movie.2020.1080p.WEB-DL.x264-GRP' },
+    { id: '4', title: 'Movie 2020' }
+  ];
+
+  const ranked = rankByRelease(results, 'Movie.2020.1080p.WEB-DL.x264-GRP.mkv');
+  assert.deepEqual(ranked.map(r => r.id), ['3', '1', '4', '2']);
+  assert.deepEqual(rankByRelease(results, null).map(r => r.id), ['1', '2', '3', '4']);
+});
+
+test('fpsFromRelease reads explicit rates and PAL/NTSC only', () => {
+  assert.equal(fpsFromRelease('Movie.2001.25fps.DVDRip.avi'), 25);
+  assert.equal(fpsFromRelease('Movie 2001 23,976 fps.mkv'), 23.976);
+  assert.equal(fpsFromRelease('Movie.2001.PAL.DVDR-GRP'), 25);
+  assert.equal(fpsFromRelease('Movie.2001.NTSC.DVDR-GRP'), 23.976);
+  // Blu-ray and WEB releases come in both 23.976 and 25 fps
+  assert.equal(fpsFromRelease('Movie.2001.1080p.BluRay.x264-GRP.mkv'), null);
+  assert.equal(fpsFromRelease('Movie.2001.1080p.WEB-DL.DDP5.1.H.264-GRP.mkv'), null);
+  assert.equal(fpsFromRelease('Movie.2001.HDTV.x264-GRP.mkv'), null);
+  assert.equal(fpsFromRelease(null), null);
+});
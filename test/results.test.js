@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+
+const { limitPerProvider, sortResults, formatLabel, expandArchiveResults, markSdhResults, addVariants, buildSubtitleUrl, MAX_SUBTITLE_ENTRIES } = require('../lib/results');
+
+const results = [
+  { provider: 'subsunacs', providerName: 'Subsunacs', id: '1', title: 'Matrix', downloads: '1 200', fps: '23.976', uploader: 'ivan' },
+  { provider: 'subsunacs', providerName: 'Subsunacs', id: '2', title: 'Avatar', downloads: '50', fps: null, uploader: null },
+  { provider: 'subsab', providerName: 'SubsSab', id: '3', title: 'Blade', downloads: '300', fps: '25', uploader: 'maria' }
+];
+
+test('limitPerProvider caps each provider separately', () => {
+  const limited = limitPerProvider(results, 1);
+  assert.deepEqual(limited.map(r => r.id), ['1', '3']);
+});
+
+test('sortResults keeps provider order by default', () => {
+  assert.deepEqual(sortResults(results, 'default').map(r => r.id), ['1', '2', '3']);
+});
+
+test('sortResults orders by downloads and title', () => {
+  assert.deepEqual(sortResults(results, 'downloads').map(r => r.id), ['1', '3', '2']);
+  assert.deepEqual(sortResults(results, 'title').map(r => r.id), ['2', '3', '1']);
+});
+
+test('formatLabel supports every label style', () => {
+  assert.equal(formatLabel(results[0], 'full'), '[Subsunacs] Matrix [23.976fps] - ivan');
+  assert.equal(formatLabel(results[0], 'compact'), '[Subsunacs] Matrix');
+  assert.equal(formatLabel(results[0], 'title'), 'Matrix');
+  assert.equal(formatLabel(results[1]), '[Subsunacs] Avatar');
+});
+
+test('sortResults ranks by the playing file name by default', () => {
+  const releases = [
+    { provider: 'subsab', providerName: 'SubsSab', id: '1', title: 'Movie 2020 BluRay' },
+    { provider: 'subsab', providerName: 'SubsSab', id: '2', title: 'Movie 2020 WEB-DL' }
+  ];
+
+  assert.deepEqual(sortResults(releases, 'default', 'Movie.2020.WEB-DL.mkv').map(r => r.id), ['2', '1']);
+  assert.deepEqual(sortResults(releases, 'title', 'Movie.2020.WEB-DL.mkv').map(r => r.id), ['1', '2']);
+});
+
+test('expandArchiveResults lists each subtitle in multi-file archives', async () => {
+  const zip = new AdmZip();
+  zip.addFile('Release.B.srt', Buffer.from('b'));
+  zip.addFile('sub/Release.A.srt', Buffer.from('a'));
+  zip.addFile('cover.jpg', Buffer.from('jpg'));
+
+  const single = new AdmZip();
+  single.addFile('Only.srt', Buffer.from('x'));
+
+  const downloads = {
+    '1': zip.toBuffer(),
+    '2': single.toBuffer(),
+    '3': Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nplain\n')
+  };
+  const download = async (provider, id) => {
+    if (id === '4') {
+      throw new Error('offline');
+    }
+    return downloads[id];
+  };
+
+  const input = ['1', '2', '3', '4'].map(id => ({ provider: 'subsab', providerName: 'SubsSab', id, title: `Archive ${id}` }));
+  const expanded = await expandArchiveResults(input, download);
+
+  assert.deepEqual(expanded.map(r => [r.id, r.title, r.entryIndex]), [
+    ['1', 'Release.B.srt', 0],
+    ['1', 'Release.A.srt', 1],
+    ['2', 'Archive 2', undefined],
+    ['3', 'Archive 3', undefined],
+    ['4', 'Archive 4', undefined]
+  ]);
+  assert.equal(expanded[0].archiveTitle, 'Archive 1');
+});
+
+test('expandArchiveResults keeps only the requested episode from season packs', async () => {
+  const zip = new AdmZip();
+  zip.addFile('Show.S01E01.srt', Buffer.from('1'));
+  zip.addFile('Show.S01E02.srt', Buffer.from('2'));
+  zip.addFile('Show.S01E03.srt', Buffer.from('3'));
+
+  const input = [{ provider: 'subsab', providerName: 'SubsSab', id: '9', title: 'Show S01' }];
+  const expanded = await expandArchiveResults(input, async () => zip.toBuffer(), { season: 1, episode: 2 });
+
+  assert.deepEqual(expanded.map(r => [r.title, r.entryIndex]), [['Show.S01E02.srt', 1]]);
+});
+
+test('buildSubtitleUrl adds the archive entry and query parameters', () => {
+  const result = { provider: 'subsab', id: '42' };
+  assert.equal(buildSubtitleUrl('https://addon.test', result), 'https://addon.test/subtitle/subsab/42.srt');
+  assert.equal(
+    buildSubtitleUrl('https://addon.test', { ...result, entryIndex: 2 }, { season: 1, episode: 5, skip: null }),
+    'https://addon.test/subtitle/subsab/42/2.srt?season=1&episode=5'
+  );
+  assert.equal(
+    buildSubtitleUrl('https://addon.test', result, { cleanup: 1, ad: ['foo', 'a b'] }),
+    'https://addon.test/subtitle/subsab/42.srt?cleanup=1&ad=foo&ad=a+b'
+  );
+});
+
+test('formatLabel marks season packs', () => {
+  assert.equal(formatLabel({ providerName: 'SubsSab', title: 'Show S01', seasonPack: true }, 'compact'), '[SubsSab] Show S01 [season pack]');
+});
+
+test('markSdhResults flags SDH subtitles and skips failures', async () => {
+  const cuesById = {
+    1: [{ text: '[музика]' }, { text: 'Здравей' }],
+    2: [{ text: 'Здравей' }]
+  };
+  const marked = await markSdhResults(results, async (result) => {
+    if (!cuesById[result.id]) {
+      throw new Error('offline');
+    }
+    return cuesById[result.id];
+  });
+
+  assert.deepEqual(marked.map(result => Boolean(result.sdh)), [true, false, false]);
+  assert.equal(formatLabel(marked[0], 'compact'), '[Subsunacs] Matrix [SDH]');
+  assert.equal(formatLabel(marked[0], 'title'), 'Matrix [SDH]');
+});
+
+test('addVariants offers a retimed copy when the frame rates differ', () => {
+  const withVariants = addVariants(results, { filename: 'Matrix.1999.PAL.DVDRip.XviD.avi' });
+
+  assert.deepEqual(withVariants.map(r => [r.id, r.retime || null]), [
+    ['1', null],
+    ['1', { from: 23.976, to: 25 }],
+    ['2', null],
+    ['3', null]
+  ]);
+  assert.equal(formatLabel(withVariants[1], 'compact'), '[Subsunacs] Matrix [retimed 23.976→25fps]');
+  assert.equal(formatLabel(withVariants[1], 'title'), 'Matrix [retimed 23.976→25fps]');
+  assert.deepEqual(addVariants(results, { filename: 'Matrix.1999.avi' }), results);
+});
+
+test('addVariants follows each result with shifted copies', () => {
+  const shifted = addVariants(results.slice(0, 1), { offsets: [-2500, 1000] });
+
+  assert.deepEqual(shifted.map(r => r.offset), [undefined, -2500, 1000]);
+  assert.equal(formatLabel(shifted[1], 'compact'), '[Subsunacs] Matrix [-2.5s]');
+  assert.equal(formatLabel(shifted[2], 'compact'), '[Subsunacs] Matrix [+1s]');
+  assert.deepEqual(addVariants(results, { offsets: [] }), results);
+});
+
+test('addVariants follows each result with a Latin copy', () => {
+  const withVariants = addVariants(results.slice(0, 2), { latin: true });
+
+  assert.deepEqual(withVariants.map(result => [result.id, Boolean(result.transliterate)]), [['1', false], ['1', true], ['2', false], ['2', true]]);
+  assert.equal(formatLabel(withVariants[1], 'compact'), '[Subsunacs] Matrix [Latin]');
+});
+
+test('addVariants builds variants from the base result only', () => {
+  const withVariants = addVariants(results.slice(0, 1), { filename: 'Matrix.PAL.avi', offsets: [1000], latin: true });
+
+  assert.deepEqual(withVariants.map(r => [r.retime ? 'retime' : null, r.offset || null, Boolean(r.transliterate)]), [
+    [null, null, false],
+    ['retime', null, false],
+    [null, 1000, false],
+    [null, null, true]
+  ]);
+});
+
+test('addVariants caps the total, keeping every base result first', () => {
+  const many = Array.from({ length: 40 }, (_, index) => ({ ...results[0], id: String(index) }));
+  const withVariants = addVariants(many, { filename: 'Matrix.PAL.avi', offsets: [-1000, 1000, 2000, 3000], latin: true });
+
+  assert.equal(withVariants.length, MAX_SUBTITLE_ENTRIES);
+  assert.equal(withVariants.filter(r => !r.retime && !r.offset && !r.transliterate).length, 40);
+  assert.equal(addVariants(many, { latin: true, limit: 10 }).length, 10);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hasSdh, stripSdhText, stripSdhCues, isSdh } = require('../lib/sdh');
+
+test('stripSdhText removes sound descriptions and keeps styling', () => {
+  assert.equal(stripSdhText('<i>(смее се)</i> Какво?'), 'Какво?');
+  assert.equal(stripSdhText('<i>Кажи ми... [въздиша] добре</i>'), '<i>Кажи ми... добре</i>');
+  assert.equal(stripSdhText('(ВРАТАТА СЕ\nЗАТРЪШВА)'), '');
+});
+
+test('stripSdhText removes speaker labels', () => {
+  assert.equal(stripSdhText('ЧОВЕК: Стой!'), 'Стой!');
+  assert.equal(stripSdhText('- ЖЕНА 1: Къде?\n- МЪЖ: Тук.'), '- Къде?\n- Тук.');
+  assert.equal(stripSdhText('<i>ЧОВЕК: Ела</i>'), '<i>Ела</i>');
+  assert.equal(stripSdhText('В 10:30 сме там. Това е OK.'), 'В 10:30 сме там. Това е OK.');
+});
+
+test('stripSdhText drops the dash of a dialogue reduced to one line', () => {
+  assert.equal(stripSdhText('- [смях]\n- Здравей'), 'Здравей');
+  assert.equal(stripSdhText('- Здравей'), '- Здравей');
+});
+
+test('stripSdhCues drops cues left empty', () => {
+  const cues = [
+    { start: 0, end: 1000, text: '<i>[музика]</i>' },
+    { start: 1000, end: 2000, text: 'ЧОВЕК: Стой!' }
+  ];
+  assert.deepEqual(stripSdhCues(cues), [{ start: 1000, end: 2000, text: 'Стой!' }]);
+});
+
+test('isSdh needs a noticeable share of annotated cues', () => {
+  const plain = Array.from({ length: 20 }, (_, i) => ({ text: `Реплика ${i}` }));
+
+  assert.equal(hasSdh('[музика]'), true);
+  assert.equal(hasSdh('Реплика'), false);
+  assert.equal(isSdh(plain), false);
+  assert.equal(isSdh([...plain.slice(1), { text: '[музика]' }]), false);
+  assert.equal(isSdh([...plain.slice(3), { text: '[музика]' }, { text: 'МЪЖ: Ей!' }, { text: '(смее се)' }]), true);
+  assert.equal(isSdh([]), false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseFps, sameFps, retimeCues, shiftCues, parseSyncParam, syncCues, applyTiming } = require('../lib/timing');
+
+test('parseFps accepts provider and query formats', () => {
+  assert.equal(parseFps('23.976'), 23.976);
+  assert.equal(parseFps('23,976'), 23.976);
+  assert.equal(parseFps(' 25.000 '), 25);
+  assert.equal(parseFps('0'), null);
+  assert.equal(parseFps('fast'), null);
+  assert.equal(parseFps(undefined), null);
+});
+
+test('sameFps ignores rounding differences', () => {
+  assert.equal(sameFps(23.976, 23.98), true);
+  assert.equal(sameFps(23.976, 25), false);
+});
+
+test('retimeCues rescales from the subtitle rate to the video rate', () => {
+  const cues = [{ start: 25000, end: 50000, text: 'Текст' }];
+
+  assert.deepEqual(retimeCues(cues, 23.976, 25), [{ start: 23976, end: 47952, text: 'Текст' }]);
+  assert.deepEqual(applyTiming(cues, { retime: { from: 25, to: 23.976 } })[0].start, 26068);
+  assert.equal(applyTiming(cues), cues);
+});
+
+test('shiftCues moves cues and drops those shifted before the start', () => {
+  const cues = [
+    { start: 1000, end: 2000, text: 'Едно' },
+    { start: 3000, end: 5000, text: 'Две' }
+  ];
+
+  assert.deepEqual(shiftCues(cues, 2500).map(cue => cue.start), [3500, 5500]);
+  assert.deepEqual(shiftCues(cues, -3500), [{ start: 0, end: 1500, text: 'Две' }]);
+});
+
+test('parseSyncParam reads two millisecond pairs', () => {
+  assert.deepEqual(parseSyncParam('60000:62500,3600000:3610000'), [[60000, 62500], [3600000, 3610000]]);
+  assert.equal(parseSyncParam('60000:62500'), null);
+  assert.equal(parseSyncParam('1000:2000,1000:3000'), null);
+  assert.equal(parseSyncParam(undefined), null);
+});
+
+test('syncCues maps both sync points exactly and interpolates between them', () => {
+  const cues = [
+    { start: 60000, end: 61000, text: 'Начало' },
+    { start: 1830000, end: 1831000, text: 'Среда' },
+    { start: 3600000, end: 3601000, text: 'Край' }
+  ];
+  const synced = syncCues(cues, [[60000, 62500], [3600000, 3610000]]);
+
+  assert.equal(synced[0].start, 62500);
+  assert.equal(synced[1].start, 1836250);
+  assert.equal(synced[2].start, 3610000);
+});
+
+test('applyTiming applies the offset after the resync', () => {
+  const cues = [{ start: 60000, end: 61000, text: 'Текст' }];
+  const adjusted = applyTiming(cues, { sync: [[60000, 62500], [3600000, 3610000]], offset: -500 });
+
+  assert.equal(adjusted[0].start, 62000);
+});
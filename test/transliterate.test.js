@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { transliterate, transliterateCues } = require('../lib/transliterate');
+
+test('transliterate follows the streamlined system', () => {
+  assert.equal(transliterate('Щастие, жаба, цвете, чашка, шапка'), 'Shtastie, zhaba, tsvete, chashka, shapka');
+  assert.equal(transliterate('Ъгъл, йод, юли, ябълка, Асьо'), 'Agal, yod, yuli, yabalka, Asyo');
+});
+
+test('transliterate writes "ия" at the end of a word as "ia"', () => {
+  assert.equal(transliterate('България и история, но Ияна'), 'Balgaria i istoria, no Iyana');
+});
+
+test('transliterate keeps the case of multi-letter capitals', () => {
+  assert.equal(transliterate('Жива'), 'Zhiva');
+  assert.equal(transliterate('ЖИВА ЩЕ Е'), 'ZHIVA SHTE E');
+  assert.equal(transliterate('Ж!'), 'Zh!');
+});
+
+test('transliterateCues keeps markup and times', () => {
+  const cues = [{ start: 1000, end: 2000, text: '<i>Цветя</i>\n<font color="#ff0000">София</font>' }];
+  assert.deepEqual(transliterateCues(cues), [{ start: 1000, end: 2000, text: '<i>Tsvetya</i>\n<font color="#ff0000">Sofia</font>' }]);
+});
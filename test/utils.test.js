@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Cache } = require('../lib/utils');
+
+test('Cache evicts the oldest entries beyond maxEntries and maxBytes', () => {
+  const cache = new Cache(60000, { maxEntries: 2, maxBytes: 10 });
+  cache.set('a', Buffer.alloc(4));
+  cache.set('b', Buffer.alloc(4));
+  cache.set('c', Buffer.alloc(4));
+  assert.deepEqual([...cache.cache.keys()], ['b', 'c']);
+
+  cache.set('d', Buffer.alloc(6));
+  assert.deepEqual([...cache.cache.keys()], ['c', 'd']);
+  assert.equal(cache.bytes, 10);
+
+  // Larger than the whole cache: not stored
+  cache.set('e', Buffer.alloc(11));
+  assert.equal(cache.has('e'), false);
+  assert.equal(cache.has('d'), true);
+});
+
+test('Cache sweeps expired entries when setting', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = new Cache(1000);
+  cache.set('old', Buffer.alloc(100));
+  t.mock.timers.tick(1001);
+  cache.set('new', 'value');
+
+  assert.deepEqual([...cache.cache.keys()], ['new']);
+  assert.equal(cache.bytes, 0);
+});